@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// bin/daraja.js
+// Entry point of the `daraja` command-line tool
+
+import { run } from "../src/cli.js";
+
+process.exitCode = await run(process.argv.slice(2));
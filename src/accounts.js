@@ -0,0 +1,306 @@
+// src/accounts.js
+// A registry of clients for platforms that serve many merchants, each with their own credentials
+
+import { EventEmitter } from "node:events";
+import http from "node:http";
+import https from "node:https";
+import Safaricom from "../index.js";
+import { DarajaValidationError } from "./errors.js";
+import { DarajaCallbackHandler } from "./middleware.js";
+import { MemoryTokenStore } from "./tokenStore.js";
+
+// The most unknown merchant IDs remembered at once, so random IDs cannot grow the cache without bound.
+const MAX_UNKNOWN_MERCHANTS = 1000;
+
+/**
+ * @typedef {object} MerchantContext
+ * @property {string} merchantId - The merchant the callback is for.
+ * @property {Safaricom} client - The merchant's client.
+ */
+
+/**
+ * The callback handler of one merchant. Every event it emits is also emitted on the
+ * registry, with the {@link MerchantContext} as the last argument.
+ * @private
+ */
+class MerchantCallbackHandler extends DarajaCallbackHandler {
+  constructor(accounts, context, options) {
+    super(options);
+    this.accounts = accounts;
+    this.context = context;
+  }
+
+  emit(name, ...args) {
+    const handled = super.emit(name, ...args);
+    return this.accounts.emit(name, ...args, this.context) || handled;
+  }
+}
+
+/**
+ * Builds and caches a `Safaricom` client per merchant, from credentials looked up on demand.
+ * The clients share keep-alive HTTP agents and a token store, and are evicted once idle.
+ *
+ * Callbacks for every merchant are received on `{basePath}/{merchantId}/...` by `handler`, and
+ * the events of {@link DarajaCallbackHandler} are emitted on the registry with a {@link MerchantContext}:
+ * ```js
+ * accounts.on("stk:completed", (result, { merchantId }) => markPaid(merchantId, result));
+ * ```
+ */
+export class DarajaAccounts extends EventEmitter {
+  /**
+   * @param {object} options - The registry options.
+   * @param {function(string): (object|null|Promise<object|null>)} options.getCredentials - Returns the `Safaricom`
+   * options of a merchant (`consumerKey`, `consumerSecret`, `shortCode`, `passkey`, ...), or `null` if there is no
+   * such merchant. It is called with merchant IDs taken from the path of unauthenticated callback requests, so it
+   * must be cheap and safe to call with hostile input, or be guarded by `isKnownMerchant`.
+   * @param {function(string): (boolean|Promise<boolean>)} [options.isKnownMerchant] - A cheap check, e.g. against an
+   * in-memory list or a signed ID format, that a callback's merchant ID is worth looking up. Callbacks for other
+   * IDs get a 404 without calling `getCredentials`.
+   * @param {number} [options.unknownMerchantTimeout=60000] - How long a merchant that `getCredentials` did not
+   * find is remembered as unknown, in milliseconds, so repeated callbacks for it are not looked up again.
+   * @param {object} [options.clientOptions] - Options shared by every client, e.g. `environment` or `retry`.
+   * @param {import('./tokenStore.js').TokenStore} [options.tokenStore] - The token store shared by every client.
+   * Defaults to an in-memory store, so tokens outlive evicted clients.
+   * @param {number} [options.idleTimeout=600000] - How long a client can go unused before it is evicted, in milliseconds.
+   * @param {string} [options.basePath='/daraja'] - The path prefix that callback routes are mounted under.
+   * @param {function(object, MerchantContext): (boolean|object|Promise<boolean|object>)} [options.onValidation] - Decides
+   * whether to accept a C2B payment, as for {@link DarajaCallbackHandler}.
+   */
+  constructor(options) {
+    super();
+    if (!options || typeof options.getCredentials !== "function") {
+      throw new DarajaValidationError(
+        "A getCredentials function is required to look up merchant credentials."
+      );
+    }
+
+    this.getCredentials = options.getCredentials;
+    this.isKnownMerchant = options.isKnownMerchant;
+    this.unknownMerchantTimeout = options.unknownMerchantTimeout ?? 60 * 1000;
+    this.clientOptions = options.clientOptions || {};
+    this.tokenStore = options.tokenStore || new MemoryTokenStore();
+    this.idleTimeout = options.idleTimeout ?? 10 * 60 * 1000;
+    this.basePath = (options.basePath || "/daraja").replace(/\/+$/, "");
+    this.onValidation = options.onValidation;
+
+    this.httpAgent = new http.Agent({ keepAlive: true });
+    this.httpsAgent = new https.Agent({ keepAlive: true });
+
+    // Replies to requests for unknown merchants, in the format of whichever framework is used.
+    this.responder = new DarajaCallbackHandler();
+    this.accounts = new Map();
+    this.loading = new Map();
+    // Merchant IDs that `getCredentials` did not find, with when they were looked up.
+    this.unknown = new Map();
+
+    this.sweeper = setInterval(
+      () => this.evictIdle(),
+      Math.max(this.idleTimeout / 2, 1000)
+    );
+    this.sweeper.unref();
+
+    // Bound so it can be passed straight to `http.createServer`, `app.use` or `fastify.post`.
+    this.handler = this.handler.bind(this);
+  }
+
+  /**
+   * The number of clients in the registry.
+   * @type {number}
+   */
+  get size() {
+    return this.accounts.size;
+  }
+
+  /**
+   * Returns the client of a merchant, building it on first use.
+   * @param {string} merchantId - The merchant ID.
+   * @returns {Promise<Safaricom>} The client.
+   * @throws {DarajaValidationError} If there is no such merchant.
+   */
+  async get(merchantId) {
+    const account = await this._getAccount(merchantId);
+    return account.client;
+  }
+
+  /**
+   * Builds the callback URLs of a merchant, as for {@link DarajaCallbackHandler#urls}.
+   * @param {string} merchantId - The merchant ID.
+   * @param {string} publicUrl - The public origin your server is reachable at, e.g. `https://example.com`.
+   * @returns {object} The callback URL parameters for each API, keyed by type.
+   */
+  urls(merchantId, publicUrl) {
+    return new DarajaCallbackHandler({
+      basePath: this._merchantPath(merchantId),
+    }).urls(publicUrl);
+  }
+
+  /**
+   * Removes a merchant's client, e.g. after their credentials change. It is rebuilt on next use.
+   * Also forgets that a merchant was unknown, e.g. once they have signed up.
+   * @param {string} merchantId - The merchant ID.
+   * @returns {boolean} `true` if a client was removed.
+   */
+  evict(merchantId) {
+    this.unknown.delete(String(merchantId));
+    return this.accounts.delete(String(merchantId));
+  }
+
+  /**
+   * Removes the clients that have not been used for `idleTimeout`. Clients that are waiting for
+   * a callback, e.g. in `stkPushAndWait` or a `bulkB2C` job, are kept.
+   * @returns {number} The number of clients removed.
+   */
+  evictIdle() {
+    const cutoff = Date.now() - this.idleTimeout;
+    let evicted = 0;
+    for (const [merchantId, account] of this.accounts) {
+      const { callbacks } = account;
+      if (
+        account.lastUsed <= cutoff &&
+        !callbacks.eventNames().some((name) => callbacks.listenerCount(name))
+      ) {
+        this.accounts.delete(merchantId);
+        evicted++;
+      }
+    }
+    return evicted;
+  }
+
+  /**
+   * Removes every client and closes the shared HTTP agents.
+   */
+  close() {
+    clearInterval(this.sweeper);
+    this.accounts.clear();
+    this.unknown.clear();
+    this.httpAgent.destroy();
+    this.httpsAgent.destroy();
+  }
+
+  /**
+   * An HTTP request handler for the callbacks of every merchant, with the same signature as
+   * {@link DarajaCallbackHandler#handler}. Callbacks for unknown merchants get a 404.
+   * @param {object} req - The request.
+   * @param {object} res - The response.
+   * @param {function} [next] - The next middleware, called for requests that are not callbacks.
+   * @returns {Promise<*>}
+   */
+  async handler(req, res, next) {
+    const path = (req.originalUrl || req.url || "").split("?")[0];
+    const [merchantId] = path.startsWith(`${this.basePath}/`)
+      ? path.slice(this.basePath.length + 1).split("/")
+      : [];
+
+    let account = null;
+    if (merchantId) {
+      try {
+        const id = decodeURIComponent(merchantId);
+        if (!this.isKnownMerchant || (await this.isKnownMerchant(id))) {
+          account = await this._getAccount(id);
+        }
+      } catch {
+        account = null;
+      }
+    }
+    if (account) {
+      return account.callbacks.handler(req, res, next);
+    }
+    if (typeof next === "function") {
+      return next();
+    }
+    return this.responder._send(res, {
+      status: 404,
+      body: { ResultCode: 1, ResultDesc: "Not Found" },
+    });
+  }
+
+  /**
+   * Returns the cached account of a merchant, or builds it. Concurrent calls for the same
+   * merchant share a single credential lookup, and a merchant that was not found is not looked
+   * up again for `unknownMerchantTimeout`.
+   * @param {string} merchantId - The merchant ID.
+   * @returns {Promise<{client: Safaricom, callbacks: DarajaCallbackHandler, lastUsed: number}>} The account.
+   * @private
+   */
+  async _getAccount(merchantId) {
+    const key = String(merchantId);
+    let account = this.accounts.get(key);
+    if (!account) {
+      const lookedUpAt = this.unknown.get(key);
+      if (
+        lookedUpAt !== undefined &&
+        Date.now() - lookedUpAt < this.unknownMerchantTimeout
+      ) {
+        throw new DarajaValidationError(`Unknown merchant '${key}'.`);
+      }
+      if (!this.loading.has(key)) {
+        const loading = this._createAccount(key).finally(() =>
+          this.loading.delete(key)
+        );
+        this.loading.set(key, loading);
+      }
+      account = await this.loading.get(key);
+    }
+    account.lastUsed = Date.now();
+    return account;
+  }
+
+  /**
+   * Looks up a merchant's credentials and builds their client and callback handler.
+   * @param {string} merchantId - The merchant ID.
+   * @returns {Promise<object>} The account.
+   * @private
+   */
+  async _createAccount(merchantId) {
+    const credentials = await this.getCredentials(merchantId);
+    if (!credentials) {
+      this.unknown.delete(merchantId);
+      if (this.unknown.size >= MAX_UNKNOWN_MERCHANTS) {
+        // Maps keep insertion order, so this forgets the oldest.
+        this.unknown.delete(this.unknown.keys().next().value);
+      }
+      this.unknown.set(merchantId, Date.now());
+      throw new DarajaValidationError(`Unknown merchant '${merchantId}'.`);
+    }
+    this.unknown.delete(merchantId);
+
+    const context = { merchantId, client: null };
+    const callbacks = new MerchantCallbackHandler(this, context, {
+      basePath: this._merchantPath(merchantId),
+      onValidation:
+        this.onValidation &&
+        ((notification) => this.onValidation(notification, context)),
+    });
+    context.client = new Safaricom({
+      ...this.clientOptions,
+      ...credentials,
+      tokenStore: this.tokenStore,
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent,
+      callbackHandler: callbacks,
+    });
+
+    const account = { client: context.client, callbacks, lastUsed: Date.now() };
+    this.accounts.set(merchantId, account);
+    return account;
+  }
+
+  /**
+   * The path prefix of a merchant's callback routes.
+   * @param {string} merchantId - The merchant ID.
+   * @returns {string} The path, e.g. `/daraja/merchant-42`.
+   * @private
+   */
+  _merchantPath(merchantId) {
+    return `${this.basePath}/${encodeURIComponent(merchantId)}`;
+  }
+}
+
+/**
+ * Creates a multi-merchant client registry. See {@link DarajaAccounts}.
+ * @param {object} options - The registry options.
+ * @returns {DarajaAccounts} The registry.
+ */
+export function createAccounts(options) {
+  return new DarajaAccounts(options);
+}
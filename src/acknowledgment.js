@@ -0,0 +1,129 @@
+// src/acknowledgment.js
+// Checks the synchronous acknowledgment of each API, since Daraja can reject a request in an HTTP 200 response
+
+import { _createApiError, _getErrorMessage } from "./errors.js";
+import { _getApi } from "./utils.js";
+
+/**
+ * @typedef {object} DarajaAcknowledgment
+ * @property {true} accepted - Always `true`: a request that was not accepted throws instead.
+ * @property {string|null} conversationId - The `ConversationID` M-Pesa gave the request, if any.
+ * @property {string|null} originatorConversationId - The `OriginatorConversationID` of the request, if any.
+ * @property {string|null} checkoutRequestId - The `CheckoutRequestID` of an STK Push, if any.
+ * @property {object} raw - The response body, as returned by Daraja.
+ */
+
+// Codes such as `0`, `00` or `00000000`, which all mean the request was accepted.
+const ZERO_CODE = /^0+$/;
+
+/**
+ * Reads the code and message an API uses to say whether it accepted a request.
+ * @param {string|null} api - The API, e.g. `stk` or `billManager`.
+ * @param {object} body - The response body.
+ * @returns {{code: *, message: string, accepted: boolean, known: boolean}} The acknowledgment. A response
+ * without a code is treated as accepted. `known` is set when the code is a Daraja error or result code, which
+ * has a user-friendly message.
+ * @private
+ */
+function _readAcknowledgment(api, body) {
+  if (body.errorCode != null) {
+    return {
+      code: body.errorCode,
+      message: body.errorMessage,
+      accepted: false,
+      known: true,
+    };
+  }
+
+  let code;
+  let message;
+  let accepted;
+  let known = false;
+  switch (api) {
+    case "billManager":
+      code = body.rescode;
+      message = body.resmsg;
+      accepted = String(code) === "200";
+      break;
+    case "ratiba": {
+      const header = body.ResponseHeader || {};
+      code = header.responseCode;
+      message = header.responseDescription;
+      accepted = String(code) === "200";
+      break;
+    }
+    case "pull":
+      code = body.ResponseCode ?? body.ResponseStatus;
+      message = body.ResponseMessage ?? body.ResponseDescription;
+      accepted = String(code) === "1000";
+      break;
+    case "b2bExpress":
+      code = body.code;
+      message = body.status;
+      accepted = ZERO_CODE.test(String(code));
+      break;
+    default:
+      code = body.ResponseCode;
+      message = body.ResponseDescription;
+      accepted = ZERO_CODE.test(String(code));
+      // The `ResultCode` of an STK query is the customer's answer, not the acknowledgment.
+      if (code == null && api !== "stk" && body.ResultCode != null) {
+        code = body.ResultCode;
+        message = body.ResultDesc;
+        accepted = ZERO_CODE.test(String(code));
+        known = true;
+      }
+  }
+  return {
+    code: code ?? null,
+    message: message || "",
+    accepted: code == null || accepted,
+    known,
+  };
+}
+
+/**
+ * Checks that Daraja accepted a request, even though it responded with a 2xx status.
+ * @param {string} endpoint - The endpoint that was called.
+ * @param {*} data - The response body.
+ * @param {number} [status] - The HTTP status code.
+ * @returns {string|null} The acknowledgment code, e.g. `0`.
+ * @throws {import('./errors.js').DarajaApiError} If the response says the request was not accepted.
+ */
+export function _checkAcknowledgment(endpoint, data, status) {
+  const body = data && typeof data === "object" ? data : {};
+  const api = _getApi(endpoint);
+  const { code, message, accepted, known } = _readAcknowledgment(api, body);
+  if (!accepted) {
+    throw _createApiError(
+      (known && _getErrorMessage(api, code, message)) ||
+        `Daraja did not accept the request. It returned code ${code}: ${message}`,
+      {
+        code,
+        status: status ?? null,
+        requestId: body.requestId || body.RequestId || null,
+        endpoint,
+        raw: data,
+      }
+    );
+  }
+  return code == null ? null : String(code);
+}
+
+/**
+ * Normalizes an accepted response, so every API reports its IDs the same way.
+ * @param {*} data - The response body.
+ * @returns {DarajaAcknowledgment} The acknowledgment.
+ */
+export function _toAcknowledgment(data) {
+  const body = data && typeof data === "object" ? data : {};
+  return {
+    accepted: true,
+    conversationId: body.ConversationID ?? null,
+    // C2B responses spell it `OriginatorCoversationID`.
+    originatorConversationId:
+      body.OriginatorConversationID ?? body.OriginatorCoversationID ?? null,
+    checkoutRequestId: body.CheckoutRequestID ?? null,
+    raw: data,
+  };
+}
@@ -0,0 +1,358 @@
+// src/billManager.js
+// Bill Manager invoices: formatting and checking each invoice, and sending them in chunks with a per-invoice report
+
+import { DarajaValidationError } from "./errors.js";
+import { _getMsisdnProblem, normalizeMsisdn } from "./msisdn.js";
+import { _getTimestamp } from "./utils.js";
+import { SCHEMAS, _checkObject, _checkValue } from "./validation.js";
+
+/**
+ * The most invoices Daraja accepts in one bulk request.
+ */
+export const MAX_INVOICES_PER_REQUEST = 1000;
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const INVOICE_ITEM_SCHEMA = {
+  itemName: { required: true, type: "string" },
+  amount: { required: true, type: "integer", min: 1 },
+};
+
+/**
+ * @typedef {object} Invoice
+ * @property {string} externalReference - A unique ID for the invoice from your system, e.g. `INV-001`.
+ * @property {string} billedFullName - The full name of the customer.
+ * @property {string|number} billedPhoneNumber - The customer's Safaricom phone number, in any common format.
+ * @property {string|Date} billedPeriod - The billing period, e.g. `August 2021`, or a date in that month.
+ * @property {string} invoiceName - A short name for the invoice, e.g. `Water Bill`.
+ * @property {string|Date} dueDate - The due date, as a `Date`, `YYYY-MM-DD`, `YYYYMMDD` or an ISO 8601 date.
+ * @property {string} accountReference - The customer's account number, e.g. `A1-G70`.
+ * @property {number|string} [amount] - The total amount due, in whole shillings. Defaults to the total of
+ * `invoiceItems`.
+ * @property {Array<{itemName: string, amount: number|string}>} [invoiceItems] - The items the invoice is for.
+ */
+
+/**
+ * @typedef {object} InvoiceResult
+ * @property {string} externalReference - The `externalReference` of the invoice.
+ * @property {number} index - The position of the invoice in the input.
+ * @property {string} status - `sent` if Daraja accepted the invoice, or `failed`.
+ * @property {Error|null} error - Why the invoice failed, e.g. a `DarajaValidationError` for an invalid invoice.
+ */
+
+/**
+ * @typedef {object} InvoiceReport
+ * @property {number} total - The number of invoices.
+ * @property {number} sent - The number of invoices Daraja accepted.
+ * @property {number} failed - The number of invoices that were invalid or rejected.
+ * @property {InvoiceResult[]} invoices - The result of every invoice, in input order.
+ */
+
+/**
+ * Formats a date as `YYYY-MM-DD`, in East Africa Time for a `Date`.
+ * @param {*} value - The date.
+ * @returns {*} The formatted date, or the value itself if it is not a date, to be reported as invalid.
+ */
+export function _formatDate(value) {
+  let date = value;
+  if (typeof value === "string") {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return value;
+    }
+    if (/^\d{8}$/.test(value)) {
+      return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6)}`;
+    }
+    date = /^\d{4}-\d{2}-\d{2}T/.test(value) ? new Date(value) : null;
+  }
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    return value;
+  }
+  const timestamp = _getTimestamp(date);
+  return `${timestamp.slice(0, 4)}-${timestamp.slice(4, 6)}-${timestamp.slice(
+    6,
+    8
+  )}`;
+}
+
+/**
+ * Formats a billing period given as a date, e.g. `August 2021`.
+ * @param {*} value - The billing period.
+ * @returns {*} The formatted period, or the value itself if it is not a `Date`.
+ * @private
+ */
+function _formatBilledPeriod(value) {
+  if (!(value instanceof Date) || Number.isNaN(value.getTime())) {
+    return value;
+  }
+  const timestamp = _getTimestamp(value);
+  return `${MONTHS[Number(timestamp.slice(4, 6)) - 1]} ${timestamp.slice(
+    0,
+    4
+  )}`;
+}
+
+/**
+ * Formats and checks a Bill Manager invoice, so mistakes are caught before it is sent instead
+ * of coming back as a 409 error. Phone numbers are converted to `07XXXXXXXX`, dates to
+ * `YYYY-MM-DD`, and amounts to whole-shilling strings, as Bill Manager expects.
+ * @param {Invoice} invoice - The invoice.
+ * @returns {object} The invoice in the format sent to Daraja.
+ * @throws {DarajaValidationError} If the invoice is invalid. The error lists every problem.
+ */
+export function buildInvoice(invoice) {
+  if (!invoice || typeof invoice !== "object" || Array.isArray(invoice)) {
+    throw new DarajaValidationError("Invalid invoice: it must be an object.", {
+      field: "invoice",
+      errors: [{ field: "invoice", message: "'invoice' must be an object" }],
+    });
+  }
+
+  const errors = [];
+  const items = invoice.invoiceItems;
+  let total = 0;
+  if (items !== undefined) {
+    if (!Array.isArray(items)) {
+      errors.push({
+        field: "invoiceItems",
+        message: "'invoiceItems' must be an array",
+      });
+    } else {
+      items.forEach((item, index) => {
+        const problems = _checkObject(
+          item,
+          INVOICE_ITEM_SCHEMA,
+          `invoiceItems[${index}].`
+        );
+        errors.push(...problems);
+        if (!problems.length) {
+          total += Number(item.amount);
+        }
+      });
+    }
+  }
+
+  // When the amount is left out, it is the total of the items, which is only known if they are valid.
+  const itemsInvalid = errors.length > 0;
+  const amount =
+    invoice.amount ??
+    (Array.isArray(items) && items.length && !itemsInvalid ? total : undefined);
+  const formatted = {
+    ...invoice,
+    billedPhoneNumber: _getMsisdnProblem(invoice.billedPhoneNumber)
+      ? invoice.billedPhoneNumber
+      : normalizeMsisdn(invoice.billedPhoneNumber, { format: "local" }),
+    billedPeriod: _formatBilledPeriod(invoice.billedPeriod),
+    dueDate: _formatDate(invoice.dueDate),
+    amount,
+  };
+  errors.unshift(
+    ..._checkObject(formatted, SCHEMAS.billManagerSingleInvoice).filter(
+      (error) =>
+        !(itemsInvalid && amount === undefined && error.field === "amount")
+    )
+  );
+
+  if (
+    !errors.length &&
+    Array.isArray(items) &&
+    items.length &&
+    Number(amount) !== total
+  ) {
+    errors.push({
+      field: "amount",
+      message: `'amount' must equal the total of 'invoiceItems' (${total})`,
+    });
+  }
+
+  if (errors.length) {
+    const reference = invoice.externalReference
+      ? ` '${invoice.externalReference}'`
+      : "";
+    throw new DarajaValidationError(
+      `Invalid invoice${reference}: ${errors
+        .map((error) => error.message)
+        .join("; ")}.`,
+      { field: errors[0].field, errors }
+    );
+  }
+
+  formatted.amount = String(Number(amount));
+  if (Array.isArray(items)) {
+    formatted.invoiceItems = items.map((item) => ({
+      itemName: item.itemName,
+      amount: String(Number(item.amount)),
+    }));
+  }
+  return formatted;
+}
+
+/**
+ * Turns an invoice to cancel, given as its `externalReference`, into the object Daraja expects.
+ * @param {object|string} invoice - The invoice, or its `externalReference`.
+ * @returns {object} The invoice to cancel.
+ */
+export function _toCancellation(invoice) {
+  return typeof invoice === "string" ? { externalReference: invoice } : invoice;
+}
+
+/**
+ * Finds the invoice a Bill Manager payment is for, so it can be marked as paid and reconciled.
+ * Customers pay to an account number, which may be shared by several invoices. An invoice whose
+ * `externalReference` is the account number is preferred, then one for the amount paid, then the
+ * one due first.
+ * @param {import('./callbacks.js').BillManagerPayment} payment - The parsed payment notification.
+ * @param {Array<object>} invoices - The unpaid invoices, each with its `externalReference` and
+ * `accountReference`, e.g. as passed to `billManagerBulkInvoice` or loaded from your database.
+ * @returns {object|null} The invoice, or `null` if none matches the payment.
+ */
+export function matchInvoicePayment(payment, invoices) {
+  const account = String(payment.accountReference ?? "")
+    .trim()
+    .toLowerCase();
+  const same = (value) =>
+    String(value ?? "")
+      .trim()
+      .toLowerCase() === account;
+
+  const byReference = invoices.find((invoice) =>
+    same(invoice.externalReference)
+  );
+  if (byReference) {
+    return byReference;
+  }
+
+  const candidates = invoices.filter((invoice) =>
+    same(invoice.accountReference)
+  );
+  const exact = candidates.filter(
+    (invoice) => Number(invoice.amount) === Number(payment.paidAmount)
+  );
+  const dueFirst = (a, b) =>
+    String(_formatDate(a.dueDate)).localeCompare(
+      String(_formatDate(b.dueDate))
+    );
+  return (exact.length ? exact : candidates).sort(dueFirst)[0] || null;
+}
+
+/**
+ * Finds the invoice that a failed bulk request was rejected for, e.g. a duplicate named in Daraja's
+ * `Another entry exist with this externalReference: INV-1` message. Only a duplicate or validation
+ * rejection (a 400 or 409) is matched, and only on the reference in Daraja's own message, so a number
+ * elsewhere in the error, e.g. a status code or an amount, cannot blame the wrong invoice.
+ * @param {import('./errors.js').DarajaError} error - The error.
+ * @param {Array<{invoice: object}>} entries - The invoices in the request.
+ * @returns {number} The position of the invoice in `entries`, or `-1` if the error does not name one.
+ * @private
+ */
+function _findRejectedInvoice(error, entries) {
+  const rejected =
+    error.code === "409" || error.status === 400 || error.status === 409;
+  const raw = error.raw && typeof error.raw === "object" ? error.raw : {};
+  const message = raw.errorMessage ?? raw.resmsg;
+  const match =
+    rejected &&
+    typeof message === "string" &&
+    /externalReference\s*[:=]\s*['"]?([^'",;\s]+)/i.exec(message);
+  if (!match) {
+    return -1;
+  }
+  return entries.findIndex(
+    ({ invoice }) => String(invoice.externalReference) === match[1]
+  );
+}
+
+/**
+ * Builds every invoice, and sends the valid ones in chunks. When Daraja rejects a chunk because
+ * of one invoice, that invoice is reported as failed and the rest of the chunk is sent again.
+ * @param {Invoice[]} invoices - The invoices.
+ * @param {function(object[]): Promise<*>} send - Sends a chunk of built invoices.
+ * @param {number} [chunkSize=MAX_INVOICES_PER_REQUEST] - The most invoices per request, from 1 to 1000.
+ * @returns {Promise<InvoiceReport>} The report.
+ * @throws {DarajaValidationError} If `chunkSize` is not a whole number from 1 to 1000. Nothing is sent.
+ */
+export async function _sendInvoices(
+  invoices,
+  send,
+  chunkSize = MAX_INVOICES_PER_REQUEST
+) {
+  const problem = _checkValue(chunkSize, {
+    required: true,
+    type: "integer",
+    min: 1,
+    max: MAX_INVOICES_PER_REQUEST,
+  });
+  if (problem) {
+    const message = `'chunkSize' ${problem}`;
+    throw new DarajaValidationError(
+      `Invalid options for billManagerBulkInvoice: ${message}.`,
+      { field: "chunkSize", errors: [{ field: "chunkSize", message }] }
+    );
+  }
+  const size = Number(chunkSize);
+  const results = [];
+  const pending = [];
+  const references = new Set();
+
+  invoices.forEach((invoice, index) => {
+    const result = {
+      externalReference: invoice && invoice.externalReference,
+      index,
+      status: "failed",
+      error: null,
+    };
+    results.push(result);
+    try {
+      const built = buildInvoice(invoice);
+      if (references.has(built.externalReference)) {
+        throw new DarajaValidationError(
+          `Invalid invoice '${built.externalReference}': the 'externalReference' is used by another invoice in the same upload.`,
+          { field: "externalReference" }
+        );
+      }
+      references.add(built.externalReference);
+      pending.push({ invoice: built, result });
+    } catch (error) {
+      result.error = error;
+    }
+  });
+
+  for (let start = 0; start < pending.length; start += size) {
+    let chunk = pending.slice(start, start + size);
+    while (chunk.length) {
+      try {
+        await send(chunk.map(({ invoice }) => invoice));
+        chunk.forEach(({ result }) => (result.status = "sent"));
+        break;
+      } catch (error) {
+        const rejected = _findRejectedInvoice(error, chunk);
+        if (rejected === -1) {
+          chunk.forEach(({ result }) => (result.error = error));
+          break;
+        }
+        chunk[rejected].result.error = error;
+        chunk = chunk.filter((_, index) => index !== rejected);
+      }
+    }
+  }
+
+  const sent = results.filter((result) => result.status === "sent").length;
+  return {
+    total: results.length,
+    sent,
+    failed: results.length - sent,
+    invoices: results,
+  };
+}
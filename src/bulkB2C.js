@@ -0,0 +1,402 @@
+// src/bulkB2C.js
+// Bulk B2C payouts with concurrency and rate limits, reconciled from the result callbacks
+
+import { Buffer } from "node:buffer";
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import { DarajaValidationError } from "./errors.js";
+import { _wasNotProcessed, _wasRejected } from "./retry.js";
+import { _sleep } from "./utils.js";
+import { _checkValue } from "./validation.js";
+
+// CSV column names that are accepted for each B2C parameter, in lower case.
+const CSV_COLUMNS = {
+  partyb: "PartyB",
+  phone: "PartyB",
+  phonenumber: "PartyB",
+  msisdn: "PartyB",
+  amount: "Amount",
+  remarks: "Remarks",
+  occasion: "Occasion",
+  commandid: "CommandID",
+  originatorconversationid: "OriginatorConversationID",
+};
+
+/**
+ * @typedef {object} Payout
+ * @property {string} correlationId - A unique ID for the payout, sent as its `OriginatorConversationID`. It is
+ * generated unless the payout has an `OriginatorConversationID`.
+ * @property {number} index - The position of the payout in the input.
+ * @property {object} params - The B2C parameters of the payout.
+ * @property {string} status - `queued`, `accepted`, `succeeded`, `failed`, `timed_out`, `unknown` or `duplicate`.
+ * @property {string|null} conversationId - The `ConversationID` returned by Daraja.
+ * @property {string|null} originatorConversationId - The `OriginatorConversationID` returned by Daraja.
+ * @property {string|null} transactionId - The M-Pesa receipt of a successful payout.
+ * @property {number|string|null} resultCode - The `ResultCode` from the result callback.
+ * @property {string|null} resultDesc - The `ResultDesc` from the result callback.
+ * @property {Error|null} error - The error, if the request itself failed.
+ */
+
+/**
+ * @typedef {object} BulkB2CReport
+ * @property {number} total - The number of payouts.
+ * @property {number} succeeded - The number of payouts that were paid.
+ * @property {number} failed - The number of payouts that were rejected or failed.
+ * @property {number} timedOut - The number of payouts with no result before `resultTimeout`.
+ * @property {number} unknown - The number of payouts whose request may have reached M-Pesa, e.g. after a
+ * timeout or a 5xx. Check their status before sending them again.
+ * @property {number} duplicate - The number of payouts that were already sent, e.g. by a previous run.
+ * @property {Payout[]} payouts - Every payout, in input order.
+ */
+
+/**
+ * Splits CSV text into rows. Fields can be quoted, and quoted fields can contain commas,
+ * line breaks and doubled quotes.
+ * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>} chunks - The CSV text, in chunks.
+ * @returns {AsyncGenerator<string[]>} The rows.
+ * @private
+ */
+async function* _csvRows(chunks) {
+  let field = "";
+  let row = [];
+  let quoted = false;
+  let previous = "";
+
+  for await (const chunk of chunks) {
+    for (const char of String(chunk)) {
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        // A doubled quote inside a quoted field is a literal quote.
+        if (previous === '"') {
+          field += '"';
+        }
+        quoted = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\n") {
+        row.push(field.replace(/\r$/, ""));
+        yield row;
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+      previous = char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field.replace(/\r$/, ""));
+    yield row;
+  }
+}
+
+/**
+ * Reads payouts from an array, CSV text or a stream. CSV input must have a header row with
+ * the B2C parameter names (`PartyB` or `phone`, `Amount`, and optionally `Remarks`, `Occasion` and `CommandID`).
+ * @param {Array<object>|string|Buffer|AsyncIterable} source - The payouts.
+ * @returns {AsyncGenerator<object>} The B2C parameters of each payout.
+ * @private
+ */
+export async function* _readPayouts(source) {
+  if (Array.isArray(source)) {
+    yield* source;
+    return;
+  }
+
+  const chunks =
+    typeof source === "string" || Buffer.isBuffer(source) ? [source] : source;
+  let columns = null;
+  for await (const row of _csvRows(chunks)) {
+    if (row.every((value) => !value.trim())) {
+      continue;
+    }
+    if (!columns) {
+      columns = row.map(
+        (name) => CSV_COLUMNS[name.trim().toLowerCase()] || name.trim()
+      );
+      continue;
+    }
+    const payout = {};
+    columns.forEach((column, i) => {
+      const value = (row[i] || "").trim();
+      if (value) {
+        payout[column] = value;
+      }
+    });
+    yield payout;
+  }
+}
+
+/**
+ * Checks the `concurrency` and `tps` options, which would otherwise stop the job from sending anything.
+ * @param {object} options - The options passed to `bulkB2C`.
+ * @throws {DarajaValidationError} If `concurrency` is not a whole number of at least 1, or `tps` is not a
+ * positive number.
+ * @private
+ */
+function _checkOptions(options) {
+  const errors = [];
+  const concurrency = _checkValue(options.concurrency, {
+    type: "integer",
+    min: 1,
+  });
+  if (concurrency) {
+    errors.push({
+      field: "concurrency",
+      message: `'concurrency' ${concurrency}`,
+    });
+  }
+  const tps = Number(options.tps);
+  if (options.tps != null && !(tps > 0 && Number.isFinite(tps))) {
+    errors.push({ field: "tps", message: "'tps' must be a positive number" });
+  }
+  if (errors.length) {
+    throw new DarajaValidationError(
+      `Invalid options for bulkB2C: ${errors
+        .map((error) => error.message)
+        .join("; ")}.`,
+      { field: errors[0].field, errors }
+    );
+  }
+}
+
+/**
+ * The final status of a payout whose request failed. It is only `failed` when it is safe to send
+ * again: it was never sent, M-Pesa did not process it, or Daraja rejected it.
+ * @param {Error} error - The error.
+ * @param {{sent?: boolean}} dispatch - Whether the request was sent.
+ * @returns {string} `duplicate`, `failed` or `unknown`.
+ * @private
+ */
+function _getFailedStatus(error, dispatch) {
+  // Daraja, or the client's `idempotencyWindow`, refused an OriginatorConversationID that was already used.
+  if (error.code === "15") {
+    return "duplicate";
+  }
+  return !dispatch.sent || _wasNotProcessed(error) || _wasRejected(error)
+    ? "failed"
+    : "unknown";
+}
+
+/**
+ * A running bulk B2C disbursement, created by `Safaricom#bulkB2C`.
+ *
+ * It emits:
+ * - `progress` with the current counts `{ sent, accepted, succeeded, failed, timedOut, unknown, duplicate }`
+ *   whenever a payout changes state.
+ * - `payout` with a {@link Payout} when a payout reaches its final state.
+ *
+ * `done` resolves with a {@link BulkB2CReport} once every payout has a final result.
+ */
+export class BulkB2CJob extends EventEmitter {
+  /**
+   * @param {object} client - The `Safaricom` client.
+   * @param {Array<object>|string|Buffer|AsyncIterable} source - The payouts.
+   * @param {object} options - The options passed to `bulkB2C`.
+   * @throws {DarajaValidationError} If `concurrency` or `tps` is invalid.
+   */
+  constructor(client, source, options) {
+    super();
+    _checkOptions(options);
+    this.client = client;
+    this.params = options.params || {};
+    this.concurrency = options.concurrency || 5;
+    this.interval = 1000 / (options.tps || 5);
+    this.resultTimeout = options.resultTimeout ?? 5 * 60 * 1000;
+    this.callbackHandler = options.callbackHandler;
+    this.signal = options.signal;
+
+    this.payouts = [];
+    this.counts = {
+      sent: 0,
+      accepted: 0,
+      succeeded: 0,
+      failed: 0,
+      timedOut: 0,
+      unknown: 0,
+      duplicate: 0,
+    };
+
+    // Accepted payouts waiting for their result, and results that arrived before the acknowledgment.
+    // Results are only kept while a payout is being sent, as only then can one arrive early.
+    this._waiting = new Map();
+    this._early = new Map();
+    this._inFlight = 0;
+    this._results = [];
+    this._nextStart = 0;
+
+    this._onResult = (result) => this._settle(result.conversationId, result);
+    this._onTimeout = ({ type, body }) => {
+      const result = (body && body.Result) || {};
+      if (type === "b2c" && result.ConversationID) {
+        this._settle(result.ConversationID, null);
+      }
+    };
+    this.callbackHandler.on("b2c:result", this._onResult);
+    this.callbackHandler.on("timeout", this._onTimeout);
+
+    this.done = this._run(_readPayouts(source)).finally(() => {
+      this.callbackHandler.off("b2c:result", this._onResult);
+      this.callbackHandler.off("timeout", this._onTimeout);
+      this._early.clear();
+    });
+  }
+
+  /**
+   * Sends every payout, then waits for their results.
+   * @param {AsyncGenerator<object>} payouts - The payouts to send.
+   * @returns {Promise<BulkB2CReport>} The report.
+   * @private
+   */
+  async _run(payouts) {
+    const worker = async () => {
+      while (!this.signal?.aborted) {
+        const { value, done } = await payouts.next();
+        if (done) {
+          return;
+        }
+        await this._send(value);
+      }
+    };
+    await Promise.all(Array.from({ length: this.concurrency }, worker));
+    await Promise.all(this._results);
+
+    return {
+      total: this.payouts.length,
+      succeeded: this.counts.succeeded,
+      failed: this.counts.failed,
+      timedOut: this.counts.timedOut,
+      unknown: this.counts.unknown,
+      duplicate: this.counts.duplicate,
+      payouts: this.payouts,
+    };
+  }
+
+  /**
+   * Sends a single payout, respecting the TPS limit.
+   * @param {object} params - The B2C parameters of the payout.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _send(params) {
+    const correlationId =
+      params.OriginatorConversationID || crypto.randomUUID();
+    const payout = {
+      correlationId,
+      index: this.payouts.length,
+      params: {
+        ...this.params,
+        ...params,
+        OriginatorConversationID: correlationId,
+      },
+      status: "queued",
+      conversationId: null,
+      originatorConversationId: null,
+      transactionId: null,
+      resultCode: null,
+      resultDesc: null,
+      error: null,
+    };
+    this.payouts.push(payout);
+
+    const now = Date.now();
+    const start = Math.max(now, this._nextStart);
+    this._nextStart = start + this.interval;
+
+    this.counts.sent++;
+    this._inFlight++;
+    const dispatch = {};
+    let response;
+    try {
+      await _sleep(start - now, this.signal);
+      response = await this.client.b2c(
+        payout.params,
+        { signal: this.signal },
+        dispatch
+      );
+    } catch (error) {
+      this._inFlight--;
+      payout.error = error;
+      this._finish(payout, _getFailedStatus(error, dispatch));
+      return;
+    }
+
+    payout.status = "accepted";
+    payout.conversationId = response.conversationId;
+    payout.originatorConversationId = response.originatorConversationId;
+    this.counts.accepted++;
+    this.emit("progress", { ...this.counts });
+
+    // Wait for the result in the background, so the next payout can be sent.
+    this._results.push(this._waitForResult(payout));
+    this._inFlight--;
+  }
+
+  /**
+   * Waits for the result callback of an accepted payout, up to `resultTimeout`.
+   * @param {Payout} payout - The payout.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _waitForResult(payout) {
+    const { conversationId } = payout;
+    let timer;
+    const result = await new Promise((resolve) => {
+      timer = setTimeout(() => resolve(null), this.resultTimeout);
+      if (this._early.has(conversationId)) {
+        resolve(this._early.get(conversationId));
+        this._early.delete(conversationId);
+      } else {
+        this._waiting.set(conversationId, resolve);
+      }
+    });
+    clearTimeout(timer);
+    this._waiting.delete(conversationId);
+
+    if (!result) {
+      this._finish(payout, "timed_out");
+      return;
+    }
+    payout.transactionId = result.transactionId;
+    payout.resultCode = result.resultCode;
+    payout.resultDesc = result.resultDesc;
+    this._finish(payout, result.success ? "succeeded" : "failed");
+  }
+
+  /**
+   * Delivers the result of a payout. `null` means the request expired in the M-Pesa queue. A result
+   * no payout is waiting for, e.g. of another job on the same handler, is ignored unless a payout is
+   * being sent, in case it is for that one.
+   * @param {string} conversationId - The `ConversationID` of the payout.
+   * @param {object|null} result - The parsed result callback.
+   * @private
+   */
+  _settle(conversationId, result) {
+    const resolve = this._waiting.get(conversationId);
+    if (resolve) {
+      resolve(result);
+    } else if (this._inFlight > 0) {
+      this._early.set(conversationId, result);
+    }
+  }
+
+  /**
+   * Records the final state of a payout.
+   * @param {Payout} payout - The payout.
+   * @param {string} status - The final status.
+   * @private
+   */
+  _finish(payout, status) {
+    payout.status = status;
+    const key = status === "timed_out" ? "timedOut" : status;
+    this.counts[key]++;
+    this.emit("payout", payout);
+    this.emit("progress", { ...this.counts });
+  }
+}
@@ -0,0 +1,263 @@
+// src/callbacks.js
+// Parsers for the asynchronous callbacks that Daraja posts to your server
+
+import { Buffer } from "node:buffer";
+import { DarajaValidationError } from "./errors.js";
+import { _parseTimestamp } from "./utils.js";
+
+/**
+ * @typedef {object} StkCallbackResult
+ * @property {string} merchantRequestId - The `MerchantRequestID` returned by `stkPush`.
+ * @property {string} checkoutRequestId - The `CheckoutRequestID` returned by `stkPush`.
+ * @property {number} resultCode - The result code. `0` means the customer paid.
+ * @property {string} resultDesc - The result description from M-Pesa.
+ * @property {boolean} success - `true` when `resultCode` is `0`.
+ * @property {number|null} amount - The amount paid, or `null` if the payment failed.
+ * @property {string|null} mpesaReceiptNumber - The M-Pesa receipt number, e.g. `NLJ7RT61SV`.
+ * @property {Date|null} transactionDate - When the payment was completed.
+ * @property {string|null} phoneNumber - The phone number that paid, e.g. `254712345678`.
+ * @property {object} metadata - Every `CallbackMetadata` item as a `{ Name: Value }` object.
+ */
+
+/**
+ * Converts a Daraja list of key/value pairs (such as the STK `Item` array or the
+ * `ResultParameter` array) into a plain object. Daraja sends a single object instead
+ * of an array when there is only one pair, so both are accepted.
+ * Pairs without a value (such as the STK `Balance` item) are mapped to `null`.
+ * @param {Array<object>|object} [items] - The pairs to convert.
+ * @param {string} [keyField='Name'] - The property holding each pair's name.
+ * @param {string} [valueField='Value'] - The property holding each pair's value.
+ * @returns {object} The values keyed by name.
+ */
+export function _itemsToObject(items, keyField = "Name", valueField = "Value") {
+  const result = {};
+  if (!items) {
+    return result;
+  }
+  for (const item of Array.isArray(items) ? items : [items]) {
+    if (item && typeof item[keyField] === "string") {
+      result[item[keyField]] =
+        item[valueField] === undefined ? null : item[valueField];
+    }
+  }
+  return result;
+}
+
+/**
+ * Parses a request body that may still be a JSON string or buffer.
+ * @param {object|string|Buffer} body - The request body.
+ * @param {string} label - The callback name used in error messages.
+ * @returns {object} The parsed body.
+ */
+export function _parseBody(body, label) {
+  if (typeof body === "string" || Buffer.isBuffer(body)) {
+    try {
+      return JSON.parse(body.toString());
+    } catch {
+      throw new DarajaValidationError(
+        `Invalid ${label}: the body is not valid JSON.`
+      );
+    }
+  }
+  return body;
+}
+
+/**
+ * Parses the body that Daraja posts to the STK Push `CallBackURL`.
+ * Failed payments (e.g. the customer cancelled) have no `CallbackMetadata`, in which
+ * case the payment fields are `null`.
+ * @param {object|string|Buffer} body - The request body, either parsed or as raw JSON.
+ * @returns {StkCallbackResult} The normalized callback result.
+ * @throws {DarajaValidationError} If the body is not a valid STK Push callback.
+ */
+export function parseStkCallback(body) {
+  const payload = _parseBody(body, "STK callback");
+
+  const callback = payload && payload.Body && payload.Body.stkCallback;
+  if (!callback || typeof callback !== "object") {
+    throw new DarajaValidationError(
+      "Invalid STK callback: expected an object with a 'Body.stkCallback' property."
+    );
+  }
+  if (!callback.MerchantRequestID || !callback.CheckoutRequestID) {
+    throw new DarajaValidationError(
+      "Invalid STK callback: 'MerchantRequestID' and 'CheckoutRequestID' are required."
+    );
+  }
+
+  const resultCode = Number(callback.ResultCode);
+  if (callback.ResultCode === undefined || Number.isNaN(resultCode)) {
+    throw new DarajaValidationError(
+      "Invalid STK callback: 'ResultCode' must be a number."
+    );
+  }
+
+  const metadata = _itemsToObject(
+    callback.CallbackMetadata && callback.CallbackMetadata.Item
+  );
+
+  return {
+    merchantRequestId: callback.MerchantRequestID,
+    checkoutRequestId: callback.CheckoutRequestID,
+    resultCode,
+    resultDesc: callback.ResultDesc,
+    success: resultCode === 0,
+    amount: metadata.Amount != null ? Number(metadata.Amount) : null,
+    mpesaReceiptNumber:
+      metadata.MpesaReceiptNumber != null
+        ? String(metadata.MpesaReceiptNumber)
+        : null,
+    transactionDate: _parseTimestamp(metadata.TransactionDate),
+    phoneNumber:
+      metadata.PhoneNumber != null ? String(metadata.PhoneNumber) : null,
+    metadata,
+  };
+}
+
+/**
+ * @typedef {object} ResultCallback
+ * @property {number} resultType - The result type. `0` means completed, `1` means waiting for further messages.
+ * @property {number} resultCode - The result code. `0` means the transaction succeeded.
+ * @property {string} resultDesc - The result description from M-Pesa.
+ * @property {boolean} success - `true` when `resultCode` is `0`.
+ * @property {string} originatorConversationId - The `OriginatorConversationID` of your request.
+ * @property {string} conversationId - The `ConversationID` returned in the initial acknowledgment.
+ * @property {string|null} transactionId - The M-Pesa transaction ID, if one was created.
+ * @property {object} parameters - Every `ResultParameter` as a `{ Key: Value }` object.
+ * @property {object} referenceData - Every `ReferenceItem` as a `{ Key: Value }` object.
+ * @property {object} raw - The original `Result` object.
+ */
+
+/**
+ * Parses the body that Daraja posts to the `ResultURL` of B2C, B2B, Reversal,
+ * Transaction Status, Account Balance and Tax Remittance requests.
+ * @param {object|string|Buffer} body - The request body, either parsed or as raw JSON.
+ * @returns {ResultCallback} The normalized result.
+ * @throws {DarajaValidationError} If the body is not a valid result callback.
+ */
+export function parseResultCallback(body) {
+  const payload = _parseBody(body, "result callback");
+
+  const result = payload && payload.Result;
+  if (!result || typeof result !== "object") {
+    throw new DarajaValidationError(
+      "Invalid result callback: expected an object with a 'Result' property."
+    );
+  }
+
+  const resultCode = Number(result.ResultCode);
+  if (result.ResultCode === undefined || Number.isNaN(resultCode)) {
+    throw new DarajaValidationError(
+      "Invalid result callback: 'ResultCode' must be a number."
+    );
+  }
+
+  return {
+    resultType: Number(result.ResultType),
+    resultCode,
+    resultDesc: result.ResultDesc,
+    success: resultCode === 0,
+    originatorConversationId: result.OriginatorConversationID,
+    conversationId: result.ConversationID,
+    transactionId: result.TransactionID || null,
+    parameters: _itemsToObject(
+      result.ResultParameters && result.ResultParameters.ResultParameter,
+      "Key"
+    ),
+    referenceData: _itemsToObject(
+      result.ReferenceData && result.ReferenceData.ReferenceItem,
+      "Key"
+    ),
+    raw: result,
+  };
+}
+
+/**
+ * @typedef {object} C2BNotification
+ * @property {string} transactionType - E.g. `Pay Bill` or `Buy Goods`.
+ * @property {string} transactionId - The M-Pesa transaction ID (`TransID`).
+ * @property {Date|null} transactionTime - When the payment was made.
+ * @property {number} amount - The amount paid.
+ * @property {string} businessShortCode - The shortcode that was paid.
+ * @property {string} billRefNumber - The account number the customer entered.
+ * @property {string} invoiceNumber - The invoice number, if any.
+ * @property {string} orgAccountBalance - The shortcode balance after the payment (confirmation only).
+ * @property {string} thirdPartyTransId - Your own transaction ID, if you returned one during validation.
+ * @property {string} msisdn - The customer's phone number (masked in some environments).
+ * @property {string} firstName - The customer's first name.
+ * @property {string} middleName - The customer's middle name.
+ * @property {string} lastName - The customer's last name.
+ * @property {object} raw - The original request body.
+ */
+
+/**
+ * Parses the body that Daraja posts to your C2B `ValidationURL` or `ConfirmationURL`.
+ * @param {object|string|Buffer} body - The request body, either parsed or as raw JSON.
+ * @returns {C2BNotification} The normalized payment notification.
+ * @throws {DarajaValidationError} If the body is not a valid C2B notification.
+ */
+export function parseC2BNotification(body) {
+  const payload = _parseBody(body, "C2B notification");
+
+  if (!payload || typeof payload !== "object" || !payload.TransID) {
+    throw new DarajaValidationError(
+      "Invalid C2B notification: expected an object with a 'TransID' property."
+    );
+  }
+
+  return {
+    transactionType: payload.TransactionType,
+    transactionId: payload.TransID,
+    transactionTime: _parseTimestamp(payload.TransTime),
+    amount: Number(payload.TransAmount),
+    businessShortCode: payload.BusinessShortCode,
+    billRefNumber: payload.BillRefNumber,
+    invoiceNumber: payload.InvoiceNumber,
+    orgAccountBalance: payload.OrgAccountBalance,
+    thirdPartyTransId: payload.ThirdPartyTransID,
+    msisdn: payload.MSISDN,
+    firstName: payload.FirstName,
+    middleName: payload.MiddleName,
+    lastName: payload.LastName,
+    raw: payload,
+  };
+}
+
+/**
+ * @typedef {object} BillManagerPayment
+ * @property {string} transactionId - The M-Pesa transaction ID.
+ * @property {number} paidAmount - The amount paid.
+ * @property {string} phoneNumber - The phone number that paid (`msisdn`).
+ * @property {string} paymentDate - The date of the payment (`dateCreated`), e.g. `2021-10-01`.
+ * @property {string} accountReference - The account number the customer paid to.
+ * @property {string} shortCode - The shortcode that was paid.
+ * @property {object} raw - The original request body.
+ */
+
+/**
+ * Parses the payment notification that Bill Manager posts to the `callbackurl` set with
+ * `billManagerOptIn`. The field names are those of `billManagerReconcile`, so a payment can be
+ * spread into its parameters.
+ * @param {object|string|Buffer} body - The request body, either parsed or as raw JSON.
+ * @returns {BillManagerPayment} The normalized payment notification.
+ * @throws {DarajaValidationError} If the body is not a valid Bill Manager payment notification.
+ */
+export function parseBillManagerPayment(body) {
+  const payload = _parseBody(body, "Bill Manager payment notification");
+
+  if (!payload || typeof payload !== "object" || !payload.transactionId) {
+    throw new DarajaValidationError(
+      "Invalid Bill Manager payment notification: expected an object with a 'transactionId' property."
+    );
+  }
+
+  return {
+    transactionId: payload.transactionId,
+    paidAmount: Number(payload.paidAmount),
+    phoneNumber: payload.msisdn,
+    paymentDate: payload.dateCreated,
+    accountReference: payload.accountReference,
+    shortCode: payload.shortCode,
+    raw: payload,
+  };
+}
@@ -0,0 +1,382 @@
+// src/cli.js
+// The `daraja` command-line tool, for one-off requests without writing a script
+
+import { Buffer } from "node:buffer";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import Safaricom from "../index.js";
+import { readEnvConfig } from "./config.js";
+
+// The environment variables are `DARAJA_CONSUMER_KEY` and so on. They override the values in the profile.
+const ENV_PREFIX = "DARAJA_";
+
+// Parameters that are sent as numbers.
+const NUMERIC_PARAMS = new Set(["Amount", "Size"]);
+
+/**
+ * The subcommands. Each maps its flags to the parameters of a `Safaricom` method, and can
+ * take default parameters from the profile (e.g. the result URL).
+ */
+const COMMANDS = {
+  "stk push": {
+    method: "stkPush",
+    description: "Send an STK Push payment prompt to a phone",
+    flags: {
+      phone: "PhoneNumber",
+      amount: "Amount",
+      reference: "AccountReference",
+      description: "TransactionDesc",
+      "callback-url": "CallBackURL",
+      type: "TransactionType",
+    },
+    defaults: (config) => ({ CallBackURL: config.callbackUrl }),
+  },
+  "stk query": {
+    method: "stkQuery",
+    description: "Check the status of an STK Push",
+    flags: { "checkout-id": "CheckoutRequestID" },
+  },
+  "c2b register": {
+    method: "c2bRegister",
+    description: "Register the C2B confirmation and validation URLs",
+    flags: {
+      "confirmation-url": "ConfirmationURL",
+      "validation-url": "ValidationURL",
+      "response-type": "ResponseType",
+    },
+  },
+  "c2b simulate": {
+    method: "c2bSimulate",
+    description: "Simulate a C2B payment (sandbox only)",
+    flags: {
+      phone: "Msisdn",
+      amount: "Amount",
+      reference: "BillRefNumber",
+      command: "CommandID",
+    },
+  },
+  b2c: {
+    method: "b2c",
+    description: "Send money to a phone",
+    flags: {
+      phone: "PartyB",
+      amount: "Amount",
+      remarks: "Remarks",
+      command: "CommandID",
+      occasion: "Occasion",
+      id: "OriginatorConversationID",
+      "result-url": "ResultURL",
+      "timeout-url": "QueueTimeOutURL",
+    },
+    defaults: (config) => _resultUrls(config),
+  },
+  status: {
+    method: "transactionStatus",
+    description: "Look up the status of a transaction",
+    flags: {
+      "transaction-id": "TransactionID",
+      "identifier-type": "IdentifierType",
+      remarks: "Remarks",
+      "result-url": "ResultURL",
+      "timeout-url": "QueueTimeOutURL",
+    },
+    defaults: (config) => _resultUrls(config),
+  },
+  balance: {
+    method: "accountBalance",
+    description: "Check the account balance of the shortcode",
+    flags: {
+      "identifier-type": "IdentifierType",
+      remarks: "Remarks",
+      "result-url": "ResultURL",
+      "timeout-url": "QueueTimeOutURL",
+    },
+    defaults: (config) => _resultUrls(config),
+  },
+  reverse: {
+    method: "reversal",
+    description: "Reverse a transaction",
+    flags: {
+      "transaction-id": "TransactionID",
+      amount: "Amount",
+      remarks: "Remarks",
+      "result-url": "ResultURL",
+      "timeout-url": "QueueTimeOutURL",
+    },
+    defaults: (config) => _resultUrls(config),
+  },
+  qr: {
+    method: "dynamicQR",
+    description: "Generate a dynamic M-Pesa QR code",
+    flags: {
+      "merchant-name": "MerchantName",
+      ref: "RefNo",
+      amount: "Amount",
+      "trx-code": "TrxCode",
+      cpi: "CPI",
+      size: "Size",
+    },
+    defaults: () => ({ Size: "300" }),
+  },
+};
+
+const GLOBAL_FLAGS = {
+  profile: { type: "string" },
+  config: { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+/**
+ * The result and timeout URLs from the profile.
+ * @param {object} config - The resolved configuration.
+ * @returns {object} The `ResultURL` and `QueueTimeOutURL` parameters.
+ * @private
+ */
+function _resultUrls(config) {
+  return {
+    ResultURL: config.resultUrl,
+    QueueTimeOutURL: config.timeoutUrl || config.resultUrl,
+  };
+}
+
+/**
+ * Loads the client configuration from the profile file and the environment.
+ *
+ * The profile file is JSON, with one set of `Safaricom` options per profile:
+ * ```json
+ * { "default": "sandbox", "profiles": { "sandbox": { "consumerKey": "..." }, "production": { ... } } }
+ * ```
+ * @param {object} options - `{ profile, config }` from the command line.
+ * @param {object} env - The environment variables.
+ * @returns {object} The configuration: `Safaricom` options plus `callbackUrl`, `resultUrl` and `timeoutUrl`.
+ * @throws {Error} If the profile file cannot be read or the profile does not exist.
+ */
+export function loadConfig(options, env) {
+  const file =
+    options.config ||
+    env.DARAJA_CONFIG ||
+    path.join(os.homedir(), ".daraja.json");
+
+  let profiles = {};
+  let defaultProfile;
+  if (fs.existsSync(file)) {
+    let contents;
+    try {
+      contents = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `Could not read the profile file '${file}': ${error.message}`
+      );
+    }
+    profiles = contents.profiles || {};
+    defaultProfile = contents.default;
+  } else if (options.config) {
+    throw new Error(`The profile file '${file}' does not exist.`);
+  }
+
+  const name = options.profile || env.DARAJA_PROFILE || defaultProfile;
+  if (name && !profiles[name] && (options.profile || env.DARAJA_PROFILE)) {
+    throw new Error(`The profile '${name}' is not defined in '${file}'.`);
+  }
+
+  const config = { ...(name ? profiles[name] : {}) };
+  if (!config.environment && ["sandbox", "production"].includes(name)) {
+    config.environment = name;
+  }
+  return { ...config, ...readEnvConfig(ENV_PREFIX, env) };
+}
+
+/**
+ * Builds the help text.
+ * @param {object} [command] - The command to show the flags of. All commands are listed if not set.
+ * @param {string} [name] - The name of the command.
+ * @returns {string} The help text.
+ * @private
+ */
+function _usage(command, name) {
+  if (command) {
+    const flags = Object.entries(command.flags).map(
+      ([flag, param]) => `  --${flag.padEnd(18)} ${param}`
+    );
+    if (command.method === "stkPush") {
+      flags.push(
+        `  --${"wait".padEnd(18)} Wait for the customer to pay or cancel`
+      );
+    }
+    if (command.method === "dynamicQR") {
+      flags.push(`  --${"output".padEnd(18)} Save the QR code as a PNG file`);
+    }
+    return [
+      `Usage: daraja ${name} [flags]`,
+      "",
+      command.description,
+      "",
+      ...flags,
+    ].join("\n");
+  }
+  return [
+    "Usage: daraja <command> [flags]",
+    "",
+    "Commands:",
+    ...Object.entries(COMMANDS).map(
+      ([commandName, { description }]) =>
+        `  ${commandName.padEnd(14)} ${description}`
+    ),
+    "",
+    "Global flags:",
+    "  --profile <name>   The profile to use from the profile file",
+    "  --config <path>    The profile file (default: ~/.daraja.json)",
+    "  --json             Print the raw JSON response",
+    "  --help             Show help",
+    "",
+    "Credentials are read from the profile and from DARAJA_* environment variables,",
+    "e.g. DARAJA_CONSUMER_KEY, DARAJA_CONSUMER_SECRET, DARAJA_SHORTCODE and DARAJA_PASSKEY.",
+  ].join("\n");
+}
+
+/**
+ * Formats a response as aligned `key  value` lines.
+ * @param {object} data - The response.
+ * @returns {string} The formatted response.
+ * @private
+ */
+function _format(data) {
+  const entries = Object.entries(data || {}).filter(
+    ([, value]) => value !== undefined && value !== null && value !== ""
+  );
+  const width = Math.max(0, ...entries.map(([key]) => key.length));
+  return entries
+    .map(([key, value]) => {
+      const text =
+        value instanceof Date
+          ? value.toISOString()
+          : typeof value === "object"
+          ? JSON.stringify(value)
+          : String(value);
+      return `${key.padEnd(width)}  ${text}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Runs the `daraja` command-line tool.
+ * @param {string[]} argv - The arguments, without `node` and the script name.
+ * @param {object} [io] - Where to read the environment from and write output to.
+ * @param {object} [io.env=process.env] - The environment variables.
+ * @param {{write: function(string): void}} [io.stdout=process.stdout] - The output stream.
+ * @param {{write: function(string): void}} [io.stderr=process.stderr] - The error stream.
+ * @returns {Promise<number>} The exit code: `0` on success, `1` if the request failed and `2` for usage errors.
+ */
+export async function run(argv, io = {}) {
+  const {
+    env = process.env,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = io;
+
+  const twoWords = argv.slice(0, 2).join(" ");
+  const name = COMMANDS[twoWords] ? twoWords : argv[0];
+  const command = COMMANDS[name];
+  const rest = argv.slice(name ? name.split(" ").length : 0);
+
+  if (!command) {
+    const help = !argv.length || ["--help", "-h", "help"].includes(argv[0]);
+    (help ? stdout : stderr).write(
+      `${help ? "" : `Unknown command '${argv.join(" ")}'.\n\n`}${_usage()}\n`
+    );
+    return help ? 0 : 2;
+  }
+
+  const flagOptions = { ...GLOBAL_FLAGS };
+  for (const flag of Object.keys(command.flags)) {
+    flagOptions[flag] = { type: "string" };
+  }
+  if (command.method === "stkPush") {
+    flagOptions.wait = { type: "boolean" };
+  }
+  if (command.method === "dynamicQR") {
+    flagOptions.output = { type: "string" };
+  }
+
+  let flags;
+  try {
+    ({ values: flags } = parseArgs({ args: rest, options: flagOptions }));
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${_usage(command, name)}\n`);
+    return 2;
+  }
+  if (flags.help) {
+    stdout.write(`${_usage(command, name)}\n`);
+    return 0;
+  }
+
+  try {
+    const config = loadConfig(flags, env);
+    const params = command.defaults ? command.defaults(config) : {};
+    for (const [flag, param] of Object.entries(command.flags)) {
+      if (flags[flag] !== undefined) {
+        params[param] = flags[flag];
+      }
+    }
+    for (const param of Object.keys(params)) {
+      if (params[param] === undefined) {
+        delete params[param];
+      } else if (NUMERIC_PARAMS.has(param) && /^\d+$/.test(params[param])) {
+        params[param] = Number(params[param]);
+      }
+    }
+
+    const client = new Safaricom(config);
+    const method = flags.wait ? "stkPushAndWait" : command.method;
+    const response = await client[method](params);
+
+    if (flags.output && response.raw && response.raw.QRCode) {
+      fs.writeFileSync(
+        flags.output,
+        Buffer.from(response.raw.QRCode, "base64")
+      );
+    }
+    stdout.write(
+      flags.json
+        ? `${JSON.stringify(response, null, 2)}\n`
+        : `${_format(response.raw || response)}\n`
+    );
+    return 0;
+  } catch (error) {
+    if (flags.json) {
+      const {
+        name: errorName,
+        message,
+        code,
+        status,
+        requestId,
+        reason,
+      } = error;
+      stdout.write(
+        `${JSON.stringify(
+          {
+            error: {
+              name: errorName,
+              message,
+              code,
+              status,
+              requestId,
+              reason,
+            },
+          },
+          null,
+          2
+        )}\n`
+      );
+    } else {
+      stderr.write(`Error: ${error.message}\n`);
+      if (error.code) {
+        stderr.write(`Code: ${error.code}\n`);
+      }
+    }
+    return 1;
+  }
+}
@@ -0,0 +1,277 @@
+// src/config.js
+// Loads the client options from environment variables or a JSON file, and checks them before the first request
+
+import fs from "node:fs";
+import path from "node:path";
+import { DarajaValidationError } from "./errors.js";
+import { _checkValue } from "./validation.js";
+
+/**
+ * The environment variables that configure the client, without their prefix, e.g.
+ * `DARAJA_CONSUMER_KEY` or `MPESA_CONSUMER_KEY` for `consumerKey`.
+ */
+export const ENV_KEYS = {
+  CONSUMER_KEY: "consumerKey",
+  CONSUMER_SECRET: "consumerSecret",
+  SHORTCODE: "shortCode",
+  TILL_NUMBER: "tillNumber",
+  STORE_NUMBER: "storeNumber",
+  PASSKEY: "passkey",
+  INITIATOR_NAME: "initiatorName",
+  SECURITY_CREDENTIAL: "securityCredential",
+  INITIATOR_PASSWORD: "initiatorPassword",
+  CERTIFICATE_PATH: "certificatePath",
+  ENVIRONMENT: "environment",
+  BASE_URL: "baseUrl",
+  CALLBACK_URL: "callbackUrl",
+  RESULT_URL: "resultUrl",
+  TIMEOUT_URL: "timeoutUrl",
+};
+
+// The test credentials from the Daraja sandbox, which are rejected in production.
+const SANDBOX_SHORTCODE = "174379";
+const SANDBOX_PASSKEY =
+  "bfb279f9aa9bdbcf158e97dd71a467cd2e0c893059b10f78e6b72ada1ed2c919";
+
+const CONFIG_SCHEMA = {
+  consumerKey: { required: true, type: "string" },
+  consumerSecret: { required: true, type: "string" },
+  shortCode: { required: true, type: "integer" },
+  tillNumber: { type: "integer" },
+  storeNumber: { type: "integer" },
+  environment: { enum: ["sandbox", "production"] },
+  callbackUrl: { type: "url" },
+  resultUrl: { type: "url" },
+  timeoutUrl: { type: "url" },
+};
+
+const URL_FIELDS = ["callbackUrl", "resultUrl", "timeoutUrl"];
+
+// The options each API needs on top of the consumer key, secret and shortcode. Each entry lists
+// options of which at least one must be set.
+const INITIATOR = [
+  ["initiatorName"],
+  ["securityCredential", "initiatorPassword"],
+];
+const FEATURES = {
+  stk: [["passkey"]],
+  c2b: [],
+  b2c: INITIATOR,
+  b2b: INITIATOR,
+  status: INITIATOR,
+  balance: INITIATOR,
+  reversal: INITIATOR,
+  tax: INITIATOR,
+  qr: [],
+  billManager: [],
+  b2bExpress: [],
+  ratiba: [],
+  pull: [],
+  till: [["tillNumber"]],
+};
+
+/**
+ * @typedef {object} ConfigReport
+ * @property {boolean} valid - Whether the configuration has no problems.
+ * @property {Array<{field: string, message: string}>} errors - Every problem found.
+ * @property {Object<string, boolean>} features - Which APIs the credentials can be used for, e.g.
+ * `{ stk: true, b2c: false, ... }`. The names are the same as for the `rateLimit` option, plus `till`.
+ */
+
+/**
+ * Checks client options before any request is sent, so a misconfiguration is found at startup
+ * instead of at the first payment. In production, the sandbox shortcode and passkey are
+ * rejected, and the callback URLs must use HTTPS.
+ * @param {object} config - The client options.
+ * @param {object} [options] - What to check.
+ * @param {string[]} [options.require] - The features that must be usable, e.g. `['stk', 'b2c']`.
+ * @param {function(string): string} [options.label] - Names an option in the error messages, e.g. as its
+ * environment variable.
+ * @returns {ConfigReport} The problems found and the usable features.
+ */
+export function validateConfig(config, options = {}) {
+  const label = options.label || ((field) => field);
+  const errors = [];
+  const fail = (field, problem) =>
+    errors.push({ field, message: `'${label(field)}' ${problem}` });
+  const has = (field) =>
+    config[field] !== undefined &&
+    config[field] !== null &&
+    config[field] !== "";
+
+  for (const [field, rules] of Object.entries(CONFIG_SCHEMA)) {
+    const problem = _checkValue(config[field], rules);
+    if (problem) {
+      fail(field, problem);
+    } else if (
+      config.environment === "production" &&
+      URL_FIELDS.includes(field) &&
+      has(field) &&
+      !String(config[field]).startsWith("https://")
+    ) {
+      fail(field, "must be an HTTPS URL in production");
+    }
+  }
+
+  if (config.environment === "production") {
+    for (const field of ["shortCode", "tillNumber", "storeNumber"]) {
+      if (String(config[field]) === SANDBOX_SHORTCODE) {
+        fail(
+          field,
+          `is the sandbox shortcode ${SANDBOX_SHORTCODE}, which cannot be used in production`
+        );
+      }
+    }
+    if (config.passkey === SANDBOX_PASSKEY) {
+      fail(
+        "passkey",
+        "is the sandbox passkey, which cannot be used in production"
+      );
+    }
+  }
+
+  if (has("certificatePath") && !fs.existsSync(config.certificatePath)) {
+    fail("certificatePath", `points to a file that does not exist`);
+  }
+
+  const credentials = ["consumerKey", "consumerSecret", "shortCode"].every(has);
+  const features = {};
+  for (const [feature, needs] of Object.entries(FEATURES)) {
+    features[feature] =
+      credentials && needs.every((fields) => fields.some(has));
+  }
+
+  for (const feature of options.require || []) {
+    if (!FEATURES[feature]) {
+      errors.push({
+        field: feature,
+        message: `'${feature}' is not a feature. Use one of: ${Object.keys(
+          FEATURES
+        ).join(", ")}`,
+      });
+      continue;
+    }
+    const missing = FEATURES[feature].filter((fields) => !fields.some(has));
+    if (missing.length) {
+      errors.push({
+        field: missing[0][0],
+        message: `'${feature}' needs ${missing
+          .map((fields) =>
+            fields.map((field) => `'${label(field)}'`).join(" or ")
+          )
+          .join(" and ")}`,
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, errors, features };
+}
+
+/**
+ * Checks the options and throws if there is any problem.
+ * @param {object} config - The client options.
+ * @param {object} options - As for {@link validateConfig}.
+ * @returns {object} The options.
+ * @throws {DarajaValidationError} If the configuration is invalid. The error lists every problem.
+ * @private
+ */
+function _assertValidConfig(config, options) {
+  const { errors } = validateConfig(config, options);
+  if (errors.length) {
+    throw new DarajaValidationError(
+      `Invalid Daraja configuration: ${errors
+        .map((error) => error.message)
+        .join("; ")}.`,
+      { field: errors[0].field, errors }
+    );
+  }
+  return config;
+}
+
+/**
+ * Reads the client options from environment variables, e.g. `DARAJA_CONSUMER_KEY`.
+ * @param {string} prefix - The prefix of the variable names.
+ * @param {object} env - The environment variables.
+ * @returns {object} The options that are set.
+ */
+export function readEnvConfig(prefix, env) {
+  const config = {};
+  for (const [key, field] of Object.entries(ENV_KEYS)) {
+    if (env[prefix + key]) {
+      config[field] = env[prefix + key];
+    }
+  }
+  return config;
+}
+
+/**
+ * Loads and checks the client options from environment variables.
+ * @param {string} prefix - The prefix of the variable names.
+ * @param {object} options - `{ env, require }`, and client options that take precedence over the environment.
+ * @returns {object} The client options.
+ * @throws {DarajaValidationError} If the configuration is invalid.
+ */
+export function _loadEnvConfig(prefix, options) {
+  const { env = process.env, require: features, ...overrides } = options;
+  const config = { ...readEnvConfig(prefix, env), ...overrides };
+  const variables = Object.fromEntries(
+    Object.entries(ENV_KEYS).map(([key, field]) => [field, prefix + key])
+  );
+  return _assertValidConfig(config, {
+    require: features,
+    label: (field) => (field in overrides ? field : variables[field] || field),
+  });
+}
+
+/**
+ * Loads and checks the client options from a JSON file. The file holds either the options
+ * themselves, or profiles in the format used by the `daraja` command-line tool:
+ * ```json
+ * { "default": "sandbox", "profiles": { "sandbox": { "consumerKey": "..." }, "production": { ... } } }
+ * ```
+ * @param {string} file - The path to the file.
+ * @param {object} options - `{ profile, require }`, and client options that take precedence over the file.
+ * @returns {object} The client options.
+ * @throws {DarajaValidationError} If the file cannot be read or the configuration is invalid.
+ */
+export function _loadConfigFile(file, options) {
+  const { profile, require: features, ...overrides } = options;
+
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new DarajaValidationError(
+      `Could not read the configuration file '${file}': ${error.message}`
+    );
+  }
+
+  let config = { ...contents };
+  if (contents.profiles) {
+    const name = profile || contents.default;
+    if (!contents.profiles[name]) {
+      throw new DarajaValidationError(
+        `The profile '${name}' is not defined in '${file}'.`
+      );
+    }
+    config = { ...contents.profiles[name] };
+    if (!config.environment && ["sandbox", "production"].includes(name)) {
+      config.environment = name;
+    }
+  }
+
+  // Shortcodes are strings everywhere else, and a relative certificate path is relative to the file.
+  for (const field of ["shortCode", "tillNumber", "storeNumber"]) {
+    if (typeof config[field] === "number") {
+      config[field] = String(config[field]);
+    }
+  }
+  if (config.certificatePath) {
+    config.certificatePath = path.resolve(
+      path.dirname(file),
+      config.certificatePath
+    );
+  }
+
+  return _assertValidConfig({ ...config, ...overrides }, { require: features });
+}
@@ -0,0 +1,1057 @@
+// src/emulator.js
+// An offline Daraja emulator for local development and CI, with scriptable transaction outcomes
+
+import { Buffer } from "node:buffer";
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import http from "node:http";
+import https from "node:https";
+import { _getApi, _getTimestamp } from "./utils.js";
+
+const ACCEPTED = "Accept the service request successfully.";
+const PROCESSED = "The service request is processed successfully.";
+
+// The most transactions the Pull Transactions API returns per query.
+const PULL_PAGE_SIZE = 100;
+
+// A 1x1 PNG, returned as the QR code image.
+const QR_CODE_PNG =
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=";
+
+/**
+ * Preset outcomes that can be scripted with `nextOutcome`, per API. The names match the
+ * `reason` of the {@link import('./errors.js').DarajaResultError} the client throws for them.
+ * - `ResultCode` / `ResultDesc`: The result sent in the callback.
+ * - `status` / `errorCode` / `errorMessage`: The request is rejected synchronously instead.
+ * - `timeout: true`: The request expires in the queue, so `QueueTimeOutURL` is called instead of `ResultURL`.
+ */
+const STK_OUTCOMES = {
+  success: { ResultCode: 0, ResultDesc: PROCESSED },
+  cancelled: { ResultCode: 1032, ResultDesc: "Request cancelled by user" },
+  insufficient_funds: {
+    ResultCode: 1,
+    ResultDesc: "The balance is insufficient for the transaction.",
+  },
+  wrong_pin: {
+    ResultCode: 2001,
+    ResultDesc: "The initiator information is invalid.",
+  },
+  expired: { ResultCode: 1019, ResultDesc: "Transaction has expired" },
+  in_progress: {
+    ResultCode: 1001,
+    ResultDesc:
+      "Unable to lock subscriber, a transaction is already in process for the current subscriber",
+  },
+  timeout: {
+    ResultCode: 1037,
+    ResultDesc: "DS timeout user cannot be reached",
+  },
+};
+
+const INITIATOR_OUTCOMES = {
+  success: { ResultCode: 0, ResultDesc: PROCESSED },
+  insufficient_balance: {
+    ResultCode: 1,
+    ResultDesc: "The balance is insufficient for the transaction.",
+  },
+  duplicate: {
+    ResultCode: 15,
+    ResultDesc: "Duplicate OriginatorConversationID.",
+  },
+  invalid_credential: {
+    ResultCode: 2001,
+    ResultDesc: "The initiator information is invalid.",
+  },
+  system_busy: { status: 503, errorCode: "26", errorMessage: "System is busy" },
+  timeout: { timeout: true },
+};
+
+const OUTCOMES = {
+  stk: STK_OUTCOMES,
+  b2c: INITIATOR_OUTCOMES,
+  b2b: INITIATOR_OUTCOMES,
+  tax: INITIATOR_OUTCOMES,
+  balance: INITIATOR_OUTCOMES,
+  status: INITIATOR_OUTCOMES,
+  reversal: INITIATOR_OUTCOMES,
+  b2bExpress: {
+    success: { ResultCode: 0, ResultDesc: PROCESSED },
+    cancelled: { ResultCode: 4001, ResultDesc: "User cancelled transaction" },
+    kyc_fail: { ResultCode: 4102, ResultDesc: "Merchant KYC Fail" },
+  },
+  ratiba: {
+    success: { ResultCode: 0, ResultDesc: PROCESSED },
+    failed: { ResultCode: 1, ResultDesc: "Standing order creation failed" },
+  },
+};
+
+/**
+ * Creates a random identifier in the style Daraja uses.
+ * @param {string} kind - `merchant`, `checkout`, `conversation`, `originator` or `receipt`.
+ * @returns {string} The identifier.
+ * @private
+ */
+function _id(kind) {
+  const digits = (length) =>
+    Array.from({ length }, () => crypto.randomInt(10)).join("");
+  switch (kind) {
+    case "merchant":
+      return `${digits(5)}-${digits(8)}-1`;
+    case "checkout":
+      return `ws_CO_${_getTimestamp()}${digits(6)}`;
+    case "conversation":
+      return `AG_${_getTimestamp().slice(0, 8)}_${crypto
+        .randomBytes(10)
+        .toString("hex")}`;
+    case "originator":
+      return crypto.randomUUID();
+    default: {
+      const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+      return Array.from(
+        { length: 10 },
+        () => alphabet[crypto.randomInt(alphabet.length)]
+      ).join("");
+    }
+  }
+}
+
+/**
+ * An error response from the emulator.
+ * @private
+ */
+class EmulatorResponse {
+  constructor(status, body) {
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Builds a Daraja-style error response.
+ * @param {number} status - The HTTP status.
+ * @param {string} errorCode - The Daraja error code.
+ * @param {string} errorMessage - The Daraja error message.
+ * @returns {EmulatorResponse} The response.
+ * @private
+ */
+function _error(status, errorCode, errorMessage) {
+  return new EmulatorResponse(status, {
+    requestId: _id("merchant"),
+    errorCode,
+    errorMessage,
+  });
+}
+
+/**
+ * A local HTTP server that behaves like Daraja, so the whole client, including the HTTP layer and
+ * your callback endpoints, can be tested without the real sandbox.
+ *
+ * It implements `/oauth/v1/generate` and every endpoint the `Safaricom` class calls. Requests must carry
+ * a valid access token, STK Push passwords are checked against the passkey, and the realistic
+ * acknowledgment is returned. The final result is then posted to the request's `CallBackURL` or `ResultURL`.
+ *
+ * It emits:
+ * - `request` with `{ method, path, headers, body }` for every request it receives.
+ * - `callback` with `{ url, body, status, error }` for every callback it posts.
+ */
+export class DarajaEmulator extends EventEmitter {
+  /**
+   * @param {object} [options] - The emulator options.
+   * @param {string} [options.consumerKey] - The consumer key to accept. Any key is accepted if not set.
+   * @param {string} [options.consumerSecret] - The consumer secret to accept. Any secret is accepted if not set.
+   * @param {string} [options.passkey] - The STK Push passkey. Passwords are not checked if not set.
+   * @param {string} [options.initiatorName] - The initiator name to accept. Any name is accepted if not set.
+   * @param {string} [options.securityCredential] - The security credential to accept. Any credential is accepted if not set.
+   * @param {number} [options.callbackDelay=0] - How long to wait before posting a result, in milliseconds.
+   * @param {number} [options.callbackTimeout=5000] - How long to wait for your callback endpoint to respond, in
+   * milliseconds. A callback that takes longer fails with an error, so `flush` and `stop` never hang.
+   * @param {number} [options.tokenTtl=3599] - How long access tokens are valid for, in seconds.
+   */
+  constructor(options = {}) {
+    super();
+    this.consumerKey = options.consumerKey;
+    this.consumerSecret = options.consumerSecret;
+    this.passkey = options.passkey;
+    this.initiatorName = options.initiatorName;
+    this.securityCredential = options.securityCredential;
+    this.callbackDelay = options.callbackDelay || 0;
+    this.callbackTimeout = options.callbackTimeout || 5000;
+    this.tokenTtl = options.tokenTtl || 3599;
+
+    this.server = null;
+    this.url = null;
+    this.requests = [];
+    this.callbacks = [];
+
+    this._tokens = new Map();
+    this._outcomes = [];
+    this._stkPushes = new Map();
+    this._c2bUrls = new Map();
+    this._invoices = new Map();
+    this._transactions = [];
+    this._pending = new Set();
+
+    this._routes = {
+      "/mpesa/stkpush/v1/processrequest": this._stkPush,
+      "/mpesa/stkpushquery/v1/query": this._stkQuery,
+      "/mpesa/c2b/v1/registerurl": this._c2bRegister,
+      "/mpesa/c2b/v1/simulate": this._c2bSimulate,
+      "/mpesa/b2c/v1/paymentrequest": this._initiatorRequest,
+      "/mpesa/b2c/v3/paymentrequest": this._initiatorRequest,
+      "/mpesa/transactionstatus/v1/query": this._initiatorRequest,
+      "/mpesa/accountbalance/v1/query": this._initiatorRequest,
+      "/mpesa/reversal/v1/request": this._initiatorRequest,
+      "/mpesa/b2b/v1/remittax": this._initiatorRequest,
+      "/mpesa/b2b/v1/paymentrequest": this._initiatorRequest,
+      "/mpesa/qrcode/v1/generate": this._dynamicQR,
+      "/v1/ussdpush/get-msisdn": this._b2bExpressCheckout,
+      "/standingorder/v1/createStandingOrderExternal": this._standingOrder,
+      "/v1/billmanager-invoice/optin": this._billManager,
+      "/v1/billmanager-invoice/change-optin-details": this._billManager,
+      "/v1/billmanager-invoice/single-invoicing": this._billManager,
+      "/v1/billmanager-invoice/bulk-invoicing": this._billManager,
+      "/v1/billmanager-invoice/cancel-single-invoice": this._billManager,
+      "/v1/billmanager-invoice/cancel-bulk-invoices": this._billManager,
+      "/v1/billmanager-invoice/reconciliation": this._billManager,
+      "/pulltransactions/v1/register": this._pullRegister,
+      "/pulltransactions/v1/query": this._pullQuery,
+    };
+  }
+
+  /**
+   * Starts the server.
+   * @param {number} [port=0] - The port to listen on. `0` picks a free port.
+   * @param {string} [host='127.0.0.1'] - The host to listen on.
+   * @returns {Promise<string>} The base URL of the emulator, to pass as the client's `baseUrl`.
+   */
+  async start(port = 0, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, resolve);
+    });
+    this.url = `http://${host}:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Waits for the callbacks in flight, then stops the server.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await this.flush();
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(() => resolve()));
+      this.server = null;
+    }
+  }
+
+  /**
+   * Waits until every scheduled callback has been posted.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this._pending.size) {
+      await Promise.all([...this._pending]);
+    }
+  }
+
+  /**
+   * Scripts the outcome of the next matching request for an API. Outcomes are used in the order they
+   * were added; requests with no scripted outcome succeed.
+   *
+   * For example, `emulator.nextOutcome("stk", "cancelled", { PhoneNumber: "254711000000" })` or
+   * `emulator.nextOutcome("b2c", "insufficient_balance")`.
+   * @param {string} api - The API, e.g. `stk`, `b2c`, `balance` or `ratiba` (see `_getApi`).
+   * @param {string|object} outcome - A preset name (see {@link OUTCOMES}), or an object with
+   * `ResultCode` and `ResultDesc`, or with `status`, `errorCode` and `errorMessage` to reject the request.
+   * @param {object|function(object): boolean} [match] - Request body fields that must match, or a predicate
+   * on the request body. Every request matches if not set.
+   * @returns {DarajaEmulator} The emulator, for chaining.
+   */
+  nextOutcome(api, outcome, match = {}) {
+    const resolved =
+      typeof outcome === "string" ? (OUTCOMES[api] || {})[outcome] : outcome;
+    if (!resolved) {
+      throw new Error(`Unknown outcome '${outcome}' for the ${api} API.`);
+    }
+    this._outcomes.push({ api, outcome: resolved, match });
+    return this;
+  }
+
+  /**
+   * Invalidates every access token, as if they had expired.
+   */
+  expireTokens() {
+    this._tokens.clear();
+  }
+
+  /**
+   * Forgets all state: tokens, scripted outcomes, registered URLs, invoices, C2B transactions and
+   * recorded traffic.
+   */
+  reset() {
+    this._tokens.clear();
+    this._outcomes = [];
+    this._stkPushes.clear();
+    this._c2bUrls.clear();
+    this._invoices.clear();
+    this._transactions = [];
+    this.requests = [];
+    this.callbacks = [];
+  }
+
+  /**
+   * Handles a request to the emulator.
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @private
+   */
+  async _handle(req, res) {
+    let response;
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const body = await this._readBody(req);
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        headers: req.headers,
+        body,
+      };
+      this.requests.push(request);
+      this.emit("request", request);
+      response = this._route(req, url, body);
+    } catch (error) {
+      response =
+        error instanceof EmulatorResponse
+          ? error
+          : _error(500, "500.003.02", error.message);
+    }
+
+    const status = response instanceof EmulatorResponse ? response.status : 200;
+    const body =
+      response instanceof EmulatorResponse ? response.body : response;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Checks the request's credentials and calls the handler for its endpoint.
+   * @param {http.IncomingMessage} req - The request.
+   * @param {URL} url - The parsed request URL.
+   * @param {*} body - The parsed request body.
+   * @returns {object|EmulatorResponse} The response body, or an error response.
+   * @private
+   */
+  _route(req, url, body) {
+    if (url.pathname === "/oauth/v1/generate") {
+      return this._generateToken(req, url);
+    }
+
+    const handler = this._routes[url.pathname];
+    if (!handler || req.method !== "POST") {
+      return _error(404, "404.001.01", "Resource not found");
+    }
+
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    if (scheme !== "Bearer" || !token) {
+      return _error(400, "404.001.04", "Invalid Authentication Header");
+    }
+    const expiresAt = this._tokens.get(token);
+    if (!expiresAt || expiresAt <= Date.now()) {
+      return _error(401, "400.003.01", "Invalid Access Token");
+    }
+    if (!body || typeof body !== "object") {
+      return _error(400, "400.002.05", "Invalid Request Payload");
+    }
+    return handler.call(this, body, url.pathname);
+  }
+
+  /**
+   * `GET /oauth/v1/generate`
+   * @private
+   */
+  _generateToken(req, url) {
+    if (url.searchParams.get("grant_type") !== "client_credentials") {
+      return _error(400, "400.008.02", "Invalid grant type passed");
+    }
+    const [scheme, encoded] = (req.headers.authorization || "").split(" ");
+    const [key, secret] = Buffer.from(encoded || "", "base64")
+      .toString()
+      .split(":");
+    if (
+      scheme !== "Basic" ||
+      !key ||
+      !secret ||
+      (this.consumerKey && key !== this.consumerKey) ||
+      (this.consumerSecret && secret !== this.consumerSecret)
+    ) {
+      return _error(400, "400.008.01", "Invalid Authentication passed");
+    }
+
+    const token = crypto.randomBytes(14).toString("base64url");
+    this._tokens.set(token, Date.now() + this.tokenTtl * 1000);
+    return { access_token: token, expires_in: String(this.tokenTtl) };
+  }
+
+  /**
+   * `POST /mpesa/stkpush/v1/processrequest`
+   * @private
+   */
+  _stkPush(body, endpoint) {
+    this._checkPassword(body);
+    const outcome = this._takeOutcome(endpoint, body);
+    if (outcome.status) {
+      return _error(outcome.status, outcome.errorCode, outcome.errorMessage);
+    }
+
+    const push = {
+      MerchantRequestID: _id("merchant"),
+      CheckoutRequestID: _id("checkout"),
+      outcome,
+      completed: false,
+    };
+    this._stkPushes.set(push.CheckoutRequestID, push);
+
+    this._schedule(() => {
+      push.completed = true;
+      const stkCallback = {
+        MerchantRequestID: push.MerchantRequestID,
+        CheckoutRequestID: push.CheckoutRequestID,
+        ResultCode: outcome.ResultCode,
+        ResultDesc: outcome.ResultDesc,
+      };
+      if (Number(outcome.ResultCode) === 0) {
+        stkCallback.CallbackMetadata = {
+          Item: [
+            { Name: "Amount", Value: Number(body.Amount) },
+            { Name: "MpesaReceiptNumber", Value: _id("receipt") },
+            { Name: "TransactionDate", Value: Number(_getTimestamp()) },
+            { Name: "PhoneNumber", Value: Number(body.PhoneNumber) },
+          ],
+        };
+      }
+      return this._post(body.CallBackURL, { Body: { stkCallback } });
+    });
+
+    return {
+      MerchantRequestID: push.MerchantRequestID,
+      CheckoutRequestID: push.CheckoutRequestID,
+      ResponseCode: "0",
+      ResponseDescription: "Success. Request accepted for processing",
+      CustomerMessage: "Success. Request accepted for processing",
+    };
+  }
+
+  /**
+   * `POST /mpesa/stkpushquery/v1/query`
+   * @private
+   */
+  _stkQuery(body) {
+    this._checkPassword(body);
+    const push = this._stkPushes.get(body.CheckoutRequestID);
+    if (!push) {
+      return _error(
+        400,
+        "400.002.02",
+        "Bad Request - Invalid CheckoutRequestID"
+      );
+    }
+    if (!push.completed) {
+      return _error(500, "500.001.1001", "The transaction is being processed");
+    }
+    return {
+      ResponseCode: "0",
+      ResponseDescription:
+        "The service request has been accepted successsfully",
+      MerchantRequestID: push.MerchantRequestID,
+      CheckoutRequestID: push.CheckoutRequestID,
+      ResultCode: String(push.outcome.ResultCode),
+      ResultDesc: push.outcome.ResultDesc,
+    };
+  }
+
+  /**
+   * `POST /mpesa/c2b/v1/registerurl`
+   * @private
+   */
+  _c2bRegister(body) {
+    this._c2bUrls.set(String(body.ShortCode), {
+      ConfirmationURL: body.ConfirmationURL,
+      ValidationURL: body.ValidationURL,
+    });
+    return {
+      OriginatorCoversationID: _id("originator"),
+      ResponseCode: "0",
+      ResponseDescription: "Success",
+    };
+  }
+
+  /**
+   * `POST /mpesa/c2b/v1/simulate`. Posts to the validation URL, if one is registered, and then to the
+   * confirmation URL unless the payment was rejected. Accepted payments can be queried with the
+   * Pull Transactions API, even if the confirmation could not be delivered.
+   * @private
+   */
+  _c2bSimulate(body) {
+    const urls = this._c2bUrls.get(String(body.ShortCode));
+    if (!urls) {
+      return _error(
+        500,
+        "500.003.1001",
+        "Urls are not registered for this ShortCode"
+      );
+    }
+
+    const notification = {
+      TransactionType:
+        body.CommandID === "CustomerBuyGoodsOnline" ? "Buy Goods" : "Pay Bill",
+      TransID: _id("receipt"),
+      TransTime: _getTimestamp(),
+      TransAmount: Number(body.Amount).toFixed(2),
+      BusinessShortCode: String(body.ShortCode),
+      BillRefNumber: body.BillRefNumber || "",
+      InvoiceNumber: "",
+      OrgAccountBalance: "",
+      ThirdPartyTransID: "",
+      MSISDN: String(body.Msisdn),
+      FirstName: "John",
+      MiddleName: "",
+      LastName: "",
+    };
+
+    this._schedule(async () => {
+      if (urls.ValidationURL) {
+        const response = await this._post(urls.ValidationURL, notification);
+        if (response && String(response.ResultCode) !== "0") {
+          return;
+        }
+      }
+      notification.OrgAccountBalance = "10000.00";
+      this._transactions.push({
+        shortCode: notification.BusinessShortCode,
+        time: notification.TransTime,
+        transaction: {
+          transactionId: notification.TransID,
+          trxDate: new Date().toISOString(),
+          msisdn: Number(notification.MSISDN),
+          sender: "UPAPI",
+          transactiontype:
+            notification.TransactionType === "Buy Goods"
+              ? "c2b-buy-goods-debit"
+              : "c2b-pay-bill-debit",
+          billreference: notification.BillRefNumber,
+          amount: notification.TransAmount,
+          organizationname: "Daraja Emulator",
+        },
+      });
+      await this._post(urls.ConfirmationURL, notification);
+    });
+
+    return {
+      OriginatorCoversationID: _id("originator"),
+      ResponseCode: "0",
+      ResponseDescription: ACCEPTED,
+    };
+  }
+
+  /**
+   * `POST /pulltransactions/v1/register`.
+   * @private
+   */
+  _pullRegister(body) {
+    return {
+      ResponseRefID: _id("originator"),
+      ResponseStatus: "1000",
+      ShortCode: String(body.ShortCode),
+      ResponseDescription: "Shortcode registered successfully",
+    };
+  }
+
+  /**
+   * `POST /pulltransactions/v1/query`. Returns the accepted C2B payments to the shortcode in the
+   * date range, at most 100 at a time from `OffSetValue`.
+   * @private
+   */
+  _pullQuery(body) {
+    const time = (value) => String(value || "").replace(/\D/g, "");
+    const transactions = this._transactions
+      .filter(
+        (entry) =>
+          entry.shortCode === String(body.ShortCode) &&
+          entry.time >= time(body.StartDate) &&
+          entry.time <= time(body.EndDate)
+      )
+      .map((entry) => entry.transaction);
+    const offset = Number(body.OffSetValue) || 0;
+    return {
+      ResponseRefID: _id("originator"),
+      ResponseCode: "1000",
+      ResponseMessage: "Success",
+      Response: [transactions.slice(offset, offset + PULL_PAGE_SIZE)],
+    };
+  }
+
+  /**
+   * B2C, B2B, Tax Remittance, Transaction Status, Account Balance and Reversal requests.
+   * @private
+   */
+  _initiatorRequest(body, endpoint) {
+    const outcome =
+      this._checkInitiator(body) || this._takeOutcome(endpoint, body);
+    if (outcome.status) {
+      return _error(outcome.status, outcome.errorCode, outcome.errorMessage);
+    }
+
+    const conversationId = _id("conversation");
+    const originatorConversationId =
+      body.OriginatorConversationID || _id("originator");
+    const result = {
+      ResultType: 0,
+      ResultCode: outcome.ResultCode,
+      ResultDesc: outcome.ResultDesc,
+      OriginatorConversationID: originatorConversationId,
+      ConversationID: conversationId,
+      TransactionID: _id("receipt"),
+    };
+    if (Number(outcome.ResultCode) === 0) {
+      result.ResultParameters = {
+        ResultParameter: this._resultParameters(
+          _getApi(endpoint),
+          body,
+          result.TransactionID
+        ),
+      };
+    }
+    result.ReferenceData = {
+      ReferenceItem: { Key: "QueueTimeoutURL", Value: body.QueueTimeOutURL },
+    };
+
+    this._schedule(() =>
+      outcome.timeout
+        ? this._post(body.QueueTimeOutURL, {
+            Result: {
+              ResultType: 1,
+              ResultCode: 1,
+              ResultDesc: "The request timed out in the queue.",
+              OriginatorConversationID: originatorConversationId,
+              ConversationID: conversationId,
+            },
+          })
+        : this._post(body.ResultURL, { Result: result })
+    );
+
+    return {
+      ConversationID: conversationId,
+      OriginatorConversationID: originatorConversationId,
+      ResponseCode: "0",
+      ResponseDescription: ACCEPTED,
+    };
+  }
+
+  /**
+   * `POST /mpesa/qrcode/v1/generate`
+   * @private
+   */
+  _dynamicQR() {
+    return {
+      ResponseCode: "00",
+      RequestID: _id("originator"),
+      ResponseDescription: "The service request is processed successfully.",
+      QRCode: QR_CODE_PNG,
+    };
+  }
+
+  /**
+   * `POST /v1/ussdpush/get-msisdn`
+   * @private
+   */
+  _b2bExpressCheckout(body, endpoint) {
+    const outcome = this._takeOutcome(endpoint, body);
+    if (outcome.status) {
+      return _error(outcome.status, outcome.errorCode, outcome.errorMessage);
+    }
+    const success = Number(outcome.ResultCode) === 0;
+
+    this._schedule(() =>
+      this._post(body.callbackUrl, {
+        resultCode: String(outcome.ResultCode),
+        resultDesc: outcome.ResultDesc,
+        amount: String(body.amount),
+        requestId: body.RequestRefID,
+        paymentReference: body.paymentRef,
+        resultType: "0",
+        conversationID: _id("conversation"),
+        transactionId: success ? _id("receipt") : undefined,
+        status: success ? "SUCCESS" : "FAILED",
+      })
+    );
+
+    return { code: "0", status: "USSD Initiated Successfully" };
+  }
+
+  /**
+   * `POST /standingorder/v1/createStandingOrderExternal`
+   * @private
+   */
+  _standingOrder(body, endpoint) {
+    const outcome = this._takeOutcome(endpoint, body);
+    if (outcome.status) {
+      return _error(outcome.status, outcome.errorCode, outcome.errorMessage);
+    }
+    const responseRefID = _id("originator");
+
+    this._schedule(() =>
+      this._post(body.CallBackURL, {
+        ResponseHeader: {
+          responseRefID,
+          requestRefID: _id("originator"),
+          responseCode: outcome.ResultCode,
+          responseDescription: outcome.ResultDesc,
+        },
+        ResponseBody: {
+          ResponseData: [
+            { Name: "TransactionID", Value: _id("receipt") },
+            { Name: "responseRefID", Value: responseRefID },
+            {
+              Name: "Status",
+              Value: Number(outcome.ResultCode) === 0 ? "OKAY" : "FAILED",
+            },
+            { Name: "Msisdn", Value: String(body.PartyA) },
+          ],
+        },
+      })
+    );
+
+    return {
+      ResponseHeader: {
+        responseRefID,
+        responseCode: "200",
+        responseDescription: "Request accepted for processing",
+        ResultDesc: "The service request is processed successfully.",
+      },
+      ResponseBody: {
+        responseDescription: "Request accepted for processing",
+        responseCode: "200",
+      },
+    };
+  }
+
+  /**
+   * The Bill Manager endpoints. Invoices are remembered, so duplicates are rejected and
+   * only existing invoices can be cancelled or reconciled.
+   * @private
+   */
+  _billManager(body, endpoint) {
+    const action = endpoint.split("/").pop();
+    const success = (message) => ({
+      rescode: "200",
+      resmsg: "Success",
+      Status_Message: message,
+    });
+
+    switch (action) {
+      case "optin":
+        return {
+          app_key: _id("conversation"),
+          resmsg: "Success",
+          rescode: "200",
+        };
+      case "change-optin-details":
+        return { resmsg: "Success", rescode: "200" };
+      case "reconciliation":
+        return this._invoices.has(body.externalReference)
+          ? success("Reconciliation successful")
+          : _error(
+              409,
+              "409",
+              `Invoice ${body.externalReference} does not exist`
+            );
+      case "single-invoicing":
+      case "bulk-invoicing": {
+        const invoices = Array.isArray(body) ? body : [body];
+        const duplicate = invoices.find((invoice) =>
+          this._invoices.has(invoice.externalReference)
+        );
+        if (duplicate) {
+          return _error(
+            409,
+            "409",
+            `Another entry exist with this externalReference: ${duplicate.externalReference}`
+          );
+        }
+        for (const invoice of invoices) {
+          this._invoices.set(invoice.externalReference, invoice);
+        }
+        return success("Invoice sent successfully");
+      }
+      default: {
+        const invoices = Array.isArray(body) ? body : [body];
+        const missing = invoices.find(
+          (invoice) => !this._invoices.has(invoice.externalReference)
+        );
+        if (missing) {
+          return _error(
+            409,
+            "409",
+            `Invoice ${missing.externalReference} cannot be cancelled because it does not exist`
+          );
+        }
+        for (const invoice of invoices) {
+          this._invoices.delete(invoice.externalReference);
+        }
+        return { ...success("Invoice cancelled successfully."), errors: [] };
+      }
+    }
+  }
+
+  /**
+   * Checks the STK Push password, which is `base64(BusinessShortCode + passkey + Timestamp)`.
+   * @param {object} body - The request body.
+   * @throws {EmulatorResponse} If the password or timestamp is wrong.
+   * @private
+   */
+  _checkPassword(body) {
+    if (!/^\d{14}$/.test(String(body.Timestamp))) {
+      throw _error(400, "400.002.02", "Bad Request - Invalid Timestamp");
+    }
+    if (!this.passkey) {
+      return;
+    }
+    const expected = Buffer.from(
+      `${body.BusinessShortCode}${this.passkey}${body.Timestamp}`
+    ).toString("base64");
+    if (body.Password !== expected) {
+      throw _error(500, "500.001.1001", "Wrong credentials");
+    }
+  }
+
+  /**
+   * Checks the initiator name and security credential. Daraja reports a wrong credential
+   * in the result callback, so this returns the outcome rather than rejecting the request.
+   * @param {object} body - The request body.
+   * @returns {object|null} The failed outcome, or `null` if the initiator is valid.
+   * @private
+   */
+  _checkInitiator(body) {
+    const name = body.InitiatorName || body.Initiator;
+    if (
+      !name ||
+      !body.SecurityCredential ||
+      (this.initiatorName && name !== this.initiatorName) ||
+      (this.securityCredential &&
+        body.SecurityCredential !== this.securityCredential)
+    ) {
+      return INITIATOR_OUTCOMES.invalid_credential;
+    }
+    return null;
+  }
+
+  /**
+   * Takes the first scripted outcome that matches a request, or the success outcome if there is none.
+   * @param {string} endpoint - The endpoint that was called.
+   * @param {object} body - The request body.
+   * @returns {object} The outcome.
+   * @private
+   */
+  _takeOutcome(endpoint, body) {
+    const api = _getApi(endpoint);
+    const index = this._outcomes.findIndex(
+      (entry) =>
+        entry.api === api &&
+        (typeof entry.match === "function"
+          ? entry.match(body)
+          : Object.entries(entry.match).every(
+              ([field, value]) => String(body[field]) === String(value)
+            ))
+    );
+    if (index === -1) {
+      return { ResultCode: 0, ResultDesc: PROCESSED };
+    }
+    return this._outcomes.splice(index, 1)[0].outcome;
+  }
+
+  /**
+   * Builds the `ResultParameters` of a successful result callback.
+   * @param {string} api - The API that was called.
+   * @param {object} body - The request body.
+   * @param {string} transactionId - The transaction ID.
+   * @returns {Array<{Key: string, Value: *}>} The result parameters.
+   * @private
+   */
+  _resultParameters(api, body, transactionId) {
+    const completed = new Date()
+      .toISOString()
+      .replace(/^(\d+)-(\d+)-(\d+)T([\d:]+).*$/, "$3.$2.$1 $4");
+    switch (api) {
+      case "b2c":
+        return [
+          { Key: "TransactionAmount", Value: Number(body.Amount) },
+          { Key: "TransactionReceipt", Value: transactionId },
+          { Key: "B2CRecipientIsRegisteredCustomer", Value: "Y" },
+          { Key: "B2CChargesPaidAccountAvailableFunds", Value: 0 },
+          {
+            Key: "ReceiverPartyPublicName",
+            Value: `${body.PartyB} - John Doe`,
+          },
+          { Key: "TransactionCompletedDateTime", Value: completed },
+          { Key: "B2CUtilityAccountAvailableFunds", Value: 10000 },
+          { Key: "B2CWorkingAccountAvailableFunds", Value: 10000 },
+        ];
+      case "balance":
+        return [
+          {
+            Key: "AccountBalance",
+            Value:
+              "Working Account|KES|10000.00|10000.00|0.00|0.00&Utility Account|KES|10000.00|10000.00|0.00|0.00&Charges Paid Account|KES|0.00|0.00|0.00|0.00",
+          },
+          { Key: "BOCompletedTime", Value: Number(_getTimestamp()) },
+        ];
+      case "status":
+        return [
+          { Key: "ReceiptNo", Value: body.TransactionID },
+          { Key: "TransactionStatus", Value: "Completed" },
+          { Key: "ReasonType", Value: "Pay Bill Online" },
+          { Key: "FinalisedTime", Value: Number(_getTimestamp()) },
+          { Key: "Amount", Value: 1 },
+          { Key: "DebitPartyName", Value: "254712345678 - John Doe" },
+          { Key: "CreditPartyName", Value: `${body.PartyA} - Emulator` },
+        ];
+      case "reversal":
+        return [
+          { Key: "Amount", Value: Number(body.Amount) },
+          { Key: "OriginalTransactionID", Value: body.TransactionID },
+          { Key: "TransCompletedTime", Value: Number(_getTimestamp()) },
+          { Key: "Charge", Value: 0 },
+        ];
+      default:
+        return [
+          { Key: "Amount", Value: Number(body.Amount) },
+          { Key: "TransCompletedTime", Value: Number(_getTimestamp()) },
+          { Key: "DebitPartyName", Value: `${body.PartyA} - Emulator` },
+          { Key: "CreditPartyName", Value: `${body.PartyB}` },
+          { Key: "Currency", Value: "KES" },
+        ];
+    }
+  }
+
+  /**
+   * Runs a callback after `callbackDelay`, keeping track of it so `flush` can wait for it.
+   * @param {function(): Promise<*>} send - Posts the callback.
+   * @private
+   */
+  _schedule(send) {
+    const pending = new Promise((resolve) =>
+      setTimeout(resolve, this.callbackDelay)
+    )
+      .then(send)
+      .catch(() => {})
+      .finally(() => this._pending.delete(pending));
+    this._pending.add(pending);
+  }
+
+  /**
+   * Posts a callback body to a URL, the way M-Pesa does.
+   * @param {string} url - The callback URL.
+   * @param {object} body - The callback body.
+   * @returns {Promise<object|null>} The parsed response body, or `null` if the callback failed or timed out.
+   * @private
+   */
+  _post(url, body) {
+    const record = { url, body, status: null, error: null };
+    this.callbacks.push(record);
+
+    return new Promise((resolve) => {
+      let settled = false;
+      let timer;
+      const done = (response) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        this.emit("callback", record);
+        resolve(response);
+      };
+      const fail = (error) => {
+        record.error = error;
+        done(null);
+      };
+      let target;
+      try {
+        target = new URL(url);
+      } catch (error) {
+        fail(error);
+        return;
+      }
+
+      const data = JSON.stringify(body);
+      const client = target.protocol === "https:" ? https : http;
+      const req = client.request(
+        target,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(data),
+          },
+        },
+        (res) => {
+          const chunks = [];
+          res.on("error", fail);
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("end", () => {
+            record.status = res.statusCode;
+            try {
+              done(JSON.parse(Buffer.concat(chunks).toString()));
+            } catch {
+              done(null);
+            }
+          });
+        }
+      );
+      req.on("error", fail);
+      // Bounds the whole callback, not just idle time, so an endpoint that trickles its response cannot hang `flush`.
+      timer = setTimeout(() => {
+        const error = new Error(
+          `The callback to ${url} did not respond within ${this.callbackTimeout} ms.`
+        );
+        req.destroy(error);
+        fail(error);
+      }, this.callbackTimeout);
+      req.end(data);
+    });
+  }
+
+  /**
+   * Reads and parses a JSON request body.
+   * @param {http.IncomingMessage} req - The request.
+   * @returns {Promise<*>} The parsed body, or `null` if it is empty.
+   * @throws {EmulatorResponse} If the body is not valid JSON.
+   * @private
+   */
+  async _readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString();
+    if (!text) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw _error(400, "400.002.05", "Invalid Request Payload");
+    }
+  }
+}
+
+/**
+ * Creates a Daraja emulator. See {@link DarajaEmulator}.
+ * @param {object} [options] - The emulator options.
+ * @returns {DarajaEmulator} The emulator. Call `start()` to start it.
+ */
+export function createEmulator(options) {
+  return new DarajaEmulator(options);
+}
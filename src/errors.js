@@ -0,0 +1,378 @@
+// src/errors.js
+// Error classes thrown by the library, and the user-friendly messages for Daraja error codes
+
+import { _getApi } from "./utils.js";
+
+/**
+ * Base class for every error thrown by the library.
+ * `message` is always a user-friendly explanation; the remaining properties carry the
+ * details needed to handle the error programmatically.
+ */
+export class DarajaError extends Error {
+  /**
+   * @param {string} message - The user-friendly error message.
+   * @param {object} [details] - The error details.
+   * @param {string|null} [details.code] - The Daraja error or result code, e.g. `400.002.05` or `1032`.
+   * @param {number|null} [details.status] - The HTTP status code, if a response was received.
+   * @param {string|null} [details.requestId] - The Daraja request ID, useful when contacting Safaricom support.
+   * @param {string|null} [details.endpoint] - The endpoint that was called.
+   * @param {*} [details.raw] - The raw response body.
+   * @param {boolean} [details.retryable=false] - Whether the same request may succeed if it is sent again.
+   * @param {*} [details.cause] - The underlying error.
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = details.code != null ? String(details.code) : null;
+    this.status = details.status ?? null;
+    this.requestId = details.requestId ?? null;
+    this.endpoint = details.endpoint ?? null;
+    this.raw = details.raw ?? null;
+    this.retryable = Boolean(details.retryable);
+  }
+}
+
+/**
+ * Thrown when authentication fails, e.g. wrong consumer key/secret or an invalid access token.
+ */
+export class DarajaAuthError extends DarajaError {}
+
+/**
+ * Thrown when a request is invalid, either because it was rejected locally before being
+ * sent or because Daraja rejected the payload.
+ */
+export class DarajaValidationError extends DarajaError {
+  /**
+   * @param {string} message - The user-friendly error message.
+   * @param {object} [details] - The error details, as for {@link DarajaError}, plus:
+   * @param {string|null} [details.field] - The first invalid field, when the request was rejected locally.
+   * @param {Array<{field: string, message: string}>} [details.errors] - Every problem found with the request.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.field = details.field ?? null;
+    this.errors = details.errors ?? [];
+  }
+}
+
+/**
+ * Thrown when Daraja responds with an error.
+ */
+export class DarajaApiError extends DarajaError {}
+
+/**
+ * Thrown when no response was received from Daraja.
+ */
+export class DarajaNetworkError extends DarajaError {
+  constructor(message, details = {}) {
+    super(message, { retryable: true, ...details });
+  }
+}
+
+/**
+ * Thrown when the client-side rate limiter refuses a request, so it was never sent.
+ */
+export class DarajaRateLimitError extends DarajaError {
+  /**
+   * @param {string} message - The user-friendly error message.
+   * @param {object} [details] - The error details, as for {@link DarajaError}, plus:
+   * @param {string} [details.reason] - `queue_full` if too many requests are already waiting, or `max_wait` if
+   * the request would have waited longer than `maxWait`.
+   * @param {number} [details.queueDepth] - The number of requests waiting when this one was refused.
+   * @param {number} [details.retryAfter] - How long until the request could have been sent, in milliseconds.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.reason = details.reason;
+    this.queueDepth = details.queueDepth ?? 0;
+    this.retryAfter = details.retryAfter ?? 0;
+  }
+}
+
+/**
+ * Thrown when a transaction was accepted but its final result is a failure,
+ * e.g. the customer cancelled an STK Push.
+ */
+export class DarajaResultError extends DarajaError {
+  /**
+   * @param {string} message - The user-friendly error message.
+   * @param {object} [details] - The error details, as for {@link DarajaError}, plus:
+   * @param {string} [details.reason='failed'] - Why the transaction failed, e.g. `cancelled` or `timeout`.
+   * See {@link RESULT_REASONS}.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.reason = details.reason || "failed";
+  }
+}
+
+/**
+ * Machine-readable reasons for common result codes, set as `reason` on a {@link DarajaResultError}.
+ */
+export const RESULT_REASONS = {
+  stk: {
+    1: "insufficient_funds",
+    1001: "in_progress",
+    1019: "expired",
+    1032: "cancelled",
+    1037: "timeout",
+    2001: "wrong_pin",
+  },
+};
+
+const AUTH_ERROR_CODES = [
+  "400.008.01",
+  "400.008.02",
+  "404.001.04",
+  "400.003.01",
+];
+
+/**
+ * User-friendly messages for Daraja error and result codes, grouped by the APIs they apply to.
+ * The same code can mean different things for different APIs (e.g. `2001`).
+ */
+const COMMON_MESSAGES = {
+  // Authentication and Request Errors
+  "400.008.01": (errorMessage) =>
+    `Authentication Failed. Please check if your Consumer Key and Consumer Secret are correct. The Daraja API returned: ${errorMessage}`,
+  "400.008.02": (errorMessage) =>
+    `Invalid Grant Type. The library sent 'client_credentials' as required, but the API rejected it. This may be a temporary issue with the API. The Daraja API returned: ${errorMessage}`,
+  "404.001.04": (errorMessage) =>
+    `Invalid Authentication Header. This can happen if the access token is missing or incorrect. The Daraja API returned: ${errorMessage}`,
+  "400.002.05": (errorMessage) =>
+    `Invalid Request Payload. Please check that all required parameters for this API call are correct and have the right format. The Daraja API returned: ${errorMessage}`,
+  "400.003.01": (errorMessage) =>
+    `Invalid Access Token. The access token was rejected, most likely because it expired. The Daraja API returned: ${errorMessage}`,
+};
+
+const STK_MESSAGES = {
+  1: () =>
+    `Insufficient Funds. The customer's M-Pesa account has insufficient funds to complete the transaction. Please advise the customer to top up or use Fuliza.`,
+  1001: () =>
+    `Transaction in Progress. The customer has another M-Pesa transaction in progress. Please advise them to complete or cancel the other transaction before retrying.`,
+  1019: () =>
+    `Transaction Expired. The request took too long to process and has expired. Please try initiating the transaction again.`,
+  1025: () =>
+    `An internal error occurred while sending the push request. This might be a temporary issue with the M-Pesa service. Please try again shortly.`,
+  1032: () =>
+    `Request Cancelled by User. The customer cancelled the M-Pesa PIN entry prompt on their phone.`,
+  1037: () =>
+    `STK Push Timeout. The request timed out because the customer's phone was unreachable or they did not respond in time. Please ensure the customer's phone is online and advise them to try again.`,
+  2001: () =>
+    `Invalid PIN. The customer entered the wrong M-Pesa PIN. Please ask them to try again with the correct PIN.`,
+};
+
+// B2C, B2B, Account Balance and the other initiator-based APIs
+const INITIATOR_MESSAGES = {
+  15: () =>
+    `Duplicate Request. A request with the same unique identifier has already been processed. Please ensure each request has a unique OriginatorConversationID.`,
+  17: () =>
+    `Internal Failure. An unspecified error occurred within the M-Pesa system. Please try again later.`,
+  18: () =>
+    `Initiator Credential Check Failure. The Security Credential provided is incorrect. Please verify and encrypt your initiator password again.`,
+  20: () =>
+    `Unresolved Initiator. The InitiatorName you provided could not be found. Please check your credentials.`,
+  21: () =>
+    `Permission Failure. The initiator does not have permission to perform this action on the specified shortcode.`,
+  26: () =>
+    `System Busy. The M-Pesa system is currently experiencing high traffic. Please try your request again in a few moments.`,
+  2001: () =>
+    `Invalid Initiator Information. The 'initiatorName' or 'securityCredential' you provided is incorrect. Please check your credentials on the Safaricom Developer Portal.`,
+};
+
+const B2B_EXPRESS_MESSAGES = {
+  4102: () =>
+    `Merchant KYC Fail. There is an issue with the merchant's account details (KYC). Please ensure the merchant's account is fully compliant.`,
+  4104: () =>
+    `Missing Nominated Number. The merchant's Till Number is not properly configured with a nominated phone number on the M-Pesa portal.`,
+  4201: () =>
+    `USSD Network Error. There was a problem with the USSD network when trying to send the prompt to the merchant. This is often temporary. Please try again.`,
+  4203: () =>
+    `USSD Network Error. There was a problem with the USSD network when trying to send the prompt to the merchant. This is often temporary. Please try again.`,
+};
+
+const C2B_MESSAGES = {
+  "500.003.1001": (errorMessage) => {
+    if (errorMessage.includes("already registered")) {
+      return `URLs are already registered for this ShortCode. In the production environment, you can only register URLs once. To change them, please contact Safaricom API support.`;
+    }
+    if (errorMessage.includes("Duplicate notification info")) {
+      return `Duplicate URLs. You may have registered these URLs on another platform (like the old aggregator platform). Please contact Safaricom support to have the old URLs deleted before registering here.`;
+    }
+    return `An internal server error occurred at the API. Please try again later. Details: ${errorMessage}`;
+  },
+};
+
+const BILL_MANAGER_MESSAGES = {
+  409: (errorMessage) => {
+    if (errorMessage.includes("Biller already Registered")) {
+      return `This shortcode is already opted into Bill Manager. You do not need to opt-in again.`;
+    }
+    if (errorMessage.includes("Invalid consumerkey/shortcode")) {
+      return `Invalid credentials. Please ensure the 'consumerKey' and 'shortCode' you are using are correct and linked.`;
+    }
+    if (errorMessage.includes("Another entry exist")) {
+      return `Duplicate Invoice. An invoice with this 'externalReference' number already exists. Please use a unique reference for each invoice.`;
+    }
+    if (errorMessage.includes("Incorrect phone number format")) {
+      return `Invalid Phone Number. Please ensure the 'billedPhoneNumber' is a valid Safaricom number in the format 07XXXXXXXX.`;
+    }
+    if (errorMessage.includes("Incorrect due date format")) {
+      return `Invalid Date Format. Please ensure the 'dueDate' is in the format YYYY-MM-DD.`;
+    }
+    if (errorMessage.includes("cannot be cancelled")) {
+      return `Invoice Cannot Be Cancelled. The invoice has likely been partially or fully paid. Only unpaid invoices can be cancelled.`;
+    }
+    return `A conflict error occurred. The API returned: ${errorMessage}`;
+  },
+};
+
+const API_MESSAGES = {
+  stk: [STK_MESSAGES],
+  b2c: [INITIATOR_MESSAGES],
+  b2b: [INITIATOR_MESSAGES],
+  tax: [INITIATOR_MESSAGES],
+  balance: [INITIATOR_MESSAGES],
+  status: [INITIATOR_MESSAGES],
+  reversal: [INITIATOR_MESSAGES],
+  b2bExpress: [B2B_EXPRESS_MESSAGES],
+  c2b: [C2B_MESSAGES],
+  billManager: [BILL_MANAGER_MESSAGES],
+};
+
+// Used when the API is not known, in the order the codes were historically checked.
+const ALL_MESSAGES = [
+  STK_MESSAGES,
+  INITIATOR_MESSAGES,
+  B2B_EXPRESS_MESSAGES,
+  C2B_MESSAGES,
+  BILL_MANAGER_MESSAGES,
+];
+
+/**
+ * Looks up the user-friendly message for a Daraja error or result code.
+ * @param {string} api - The API that was called, e.g. `b2c` (see `_getApi`).
+ * @param {string|number} code - The Daraja error or result code.
+ * @param {string} errorMessage - The message returned by Daraja.
+ * @returns {string|null} The message, or `null` if the code is not known for this API.
+ */
+export function _getErrorMessage(api, code, errorMessage) {
+  const tables = [
+    COMMON_MESSAGES,
+    ...(api ? API_MESSAGES[api] || [] : ALL_MESSAGES),
+  ];
+  for (const table of tables) {
+    if (Object.hasOwn(table, String(code))) {
+      return table[String(code)](errorMessage);
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates the error for a request that Daraja rejected, choosing the class from the error code and status.
+ * @param {string} message - The user-friendly error message.
+ * @param {object} details - The error details, including `code` and `status`.
+ * @returns {DarajaAuthError|DarajaValidationError|DarajaApiError} The error.
+ */
+export function _createApiError(message, details) {
+  const { code, status } = details;
+  if (AUTH_ERROR_CODES.includes(String(code)) || status === 401) {
+    return new DarajaAuthError(message, {
+      ...details,
+      // An expired token is fixed by fetching a new one.
+      retryable: String(code) === "400.003.01",
+    });
+  }
+  if (String(code) === "400.002.05") {
+    return new DarajaValidationError(message, details);
+  }
+  return new DarajaApiError(message, {
+    ...details,
+    retryable: status >= 500 || status === 429 || String(code) === "26",
+  });
+}
+
+/**
+ * Converts an Axios error into a {@link DarajaError}.
+ * @param {object} error - The error object from Axios.
+ * @param {string} [endpoint] - The endpoint that was called.
+ * @returns {DarajaError} The structured error.
+ */
+export function _toDarajaError(error, endpoint) {
+  if (error instanceof DarajaError) {
+    return error;
+  }
+
+  if (error.response) {
+    // The request was made and the server responded with a status code
+    // that falls out of the range of 2xx
+    const { status, data } = error.response;
+    const body = data && typeof data === "object" ? data : {};
+
+    // Use the specific error code from Daraja if available
+    const errorCode =
+      body.errorCode ||
+      (body.fault ? body.fault.code : null) ||
+      body.ResultCode;
+    const errorMessage =
+      body.errorMessage ||
+      (body.fault ? body.fault.faultstring : null) ||
+      body.ResultDesc ||
+      JSON.stringify(data);
+
+    const details = {
+      code: errorCode,
+      status,
+      requestId: body.requestId || body.RequestId || null,
+      endpoint,
+      raw: data,
+      cause: error,
+    };
+    const message =
+      _getErrorMessage(_getApi(endpoint), errorCode, errorMessage) ||
+      `The API request failed with status code ${status}. The API returned the following message: ${errorMessage}`;
+
+    return _createApiError(message, details);
+  } else if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    // The request was sent, but no response arrived within the timeout
+    return new DarajaNetworkError(
+      "The request timed out waiting for a response from the Safaricom server. It may still have been processed, so check the transaction status before sending a payment again.",
+      { endpoint, cause: error }
+    );
+  } else if (error.request) {
+    // The request was made but no response was received
+    return new DarajaNetworkError(
+      "The request failed because no response was received from the Safaricom server. This could be due to a network issue or the Daraja API being temporarily unavailable. Please check your internet connection and try again.",
+      { endpoint, cause: error }
+    );
+  } else {
+    // Something happened in setting up the request that triggered an Error
+    return new DarajaError(
+      `An unexpected error occurred while setting up the API request: ${error.message}`,
+      { endpoint, cause: error }
+    );
+  }
+}
+
+/**
+ * Creates the error for a transaction whose final result is a failure, such as an
+ * STK Push the customer cancelled or a B2C payment that M-Pesa rejected.
+ * @param {string} api - The API the result belongs to, e.g. `stk` or `b2c`.
+ * @param {string|number} resultCode - The `ResultCode` from the result.
+ * @param {string} resultDesc - The `ResultDesc` from the result.
+ * @param {object} [details] - Extra details such as `endpoint`, `requestId` and `raw`.
+ * @returns {DarajaResultError} The error.
+ */
+export function createResultError(api, resultCode, resultDesc, details = {}) {
+  const message =
+    _getErrorMessage(api, resultCode, resultDesc || "") ||
+    `The transaction failed with result code ${resultCode}: ${resultDesc}`;
+  const reasons = RESULT_REASONS[api] || {};
+  return new DarajaResultError(message, {
+    reason: reasons[String(resultCode)],
+    ...details,
+    code: resultCode,
+    retryable: String(resultCode) === "26" || details.retryable,
+  });
+}
@@ -0,0 +1,100 @@
+// src/logger.js
+// Interceptors that log every Daraja request and response to a console- or pino-style logger
+
+import { redact } from "./redact.js";
+
+/**
+ * @typedef {object} DarajaRequest
+ * @property {string} method - `GET` or `POST`.
+ * @property {string} url - The full URL.
+ * @property {string} endpoint - The endpoint path, e.g. `/mpesa/stkpush/v1/processrequest`.
+ * @property {object} headers - The request headers, including `Authorization`.
+ * @property {object} [body] - The request body.
+ * @property {number} sentAt - When the request was started, in milliseconds since the epoch.
+ */
+
+/**
+ * @typedef {object} DarajaResponse
+ * @property {number} status - The HTTP status code.
+ * @property {object} headers - The response headers.
+ * @property {*} data - The response body.
+ * @property {number} duration - How long the request took, in milliseconds.
+ */
+
+/**
+ * @typedef {object} Interceptors
+ * @property {function(DarajaRequest): (DarajaRequest|void|Promise<DarajaRequest|void>)} [onRequest] - Called before
+ * each request is sent, including retries and token requests. Return a request to send it instead.
+ * @property {function(DarajaResponse, DarajaRequest): (void|Promise<void>)} [onResponse] - Called after each
+ * successful response. Errors it throws are ignored.
+ * @property {function(import('./errors.js').DarajaError, DarajaRequest): (void|Promise<void>)} [onError] - Called
+ * after each failed request, with the error that will be thrown or retried. Errors it throws are ignored.
+ */
+
+/**
+ * Creates interceptors that log every request, response and error. Secrets are redacted and
+ * phone numbers masked before anything is logged.
+ *
+ * Works with `console` and with pino, bunyan or winston style loggers: each entry is logged as
+ * `logger.info(details, message)` or `logger.error(details, message)`. Errors thrown by the logger are
+ * ignored, so a log sink that is down does not stop requests.
+ * @param {{info: function, error: function}} [logger=console] - The logger.
+ * @param {import('./redact.js').RedactionRules} [rules] - What to redact.
+ * @returns {Interceptors} The interceptors, to spread into the client options. To log and use your own
+ * interceptors too, pass the logger as the client's `logger` option instead.
+ */
+export function createLogger(logger = console, rules = {}) {
+  const log = (level, details, message) => {
+    try {
+      logger[level](redact(details, rules), message);
+    } catch {
+      // Ignored.
+    }
+  };
+  return {
+    onRequest(request) {
+      log(
+        "info",
+        {
+          method: request.method,
+          url: request.url,
+          headers: request.headers,
+          body: request.body,
+        },
+        "Daraja request"
+      );
+    },
+    onResponse(response, request) {
+      log(
+        "info",
+        {
+          method: request.method,
+          url: request.url,
+          status: response.status,
+          duration: response.duration,
+          data: response.data,
+        },
+        "Daraja response"
+      );
+    },
+    onError(error, request) {
+      log(
+        "error",
+        {
+          method: request.method,
+          url: request.url,
+          status: error.status,
+          duration: Date.now() - request.sentAt,
+          error: {
+            name: error.name,
+            message: error.message,
+            code: error.code,
+            requestId: error.requestId,
+          },
+          data: error.raw,
+        },
+        "Daraja request failed"
+      );
+    },
+  };
+}
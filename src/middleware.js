@@ -0,0 +1,329 @@
+// src/middleware.js
+// A framework-agnostic HTTP handler for every callback that Daraja posts to your server
+
+import { Buffer } from "node:buffer";
+import { EventEmitter } from "node:events";
+import {
+  _parseBody,
+  parseBillManagerPayment,
+  parseC2BNotification,
+  parseResultCallback,
+  parseStkCallback,
+} from "./callbacks.js";
+import { DarajaValidationError } from "./errors.js";
+
+const ACCEPTED = { ResultCode: 0, ResultDesc: "Accepted" };
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * The asynchronous APIs whose results are routed through the handler, and how the
+ * body posted to their result route is parsed. `null` means the body is passed on as is.
+ */
+const RESULT_PARSERS = {
+  stk: parseStkCallback,
+  b2c: parseResultCallback,
+  reversal: parseResultCallback,
+  status: parseResultCallback,
+  balance: parseResultCallback,
+  tax: parseResultCallback,
+  b2b: parseResultCallback,
+  b2bExpress: null,
+  ratiba: null,
+  billManager: parseBillManagerPayment,
+};
+
+/**
+ * Receives Daraja callbacks and turns them into events.
+ *
+ * The handler mounts these routes under `basePath`:
+ * - `POST {basePath}/{type}/result` and `POST {basePath}/{type}/timeout`, where `type` is one of
+ *   `stk`, `b2c`, `reversal`, `status`, `balance`, `tax`, `b2b`, `b2bExpress` or `ratiba`.
+ * - `POST {basePath}/c2b/validation` and `POST {basePath}/c2b/confirmation`.
+ * - `POST {basePath}/billManager/result`, for Bill Manager payment notifications.
+ *
+ * It emits:
+ * - `stk:completed` / `stk:failed` with a {@link import('./callbacks.js').StkCallbackResult}.
+ * - `b2c:result`, `reversal:result`, `status:result`, `balance:result`, `tax:result` and
+ *   `b2b:result` with a {@link import('./callbacks.js').ResultCallback}.
+ * - `b2bExpress:result` and `ratiba:result` with the raw callback body.
+ * - `c2b:validation` and `c2b:confirmation` with a {@link import('./callbacks.js').C2BNotification}.
+ * - `billManager:payment` with a {@link import('./callbacks.js').BillManagerPayment}.
+ * - `timeout` with `{ type, body }` when a request expires in the M-Pesa queue.
+ * - `invalid` with `(error, { path, body })` when a callback cannot be parsed.
+ */
+export class DarajaCallbackHandler extends EventEmitter {
+  /**
+   * @param {object} [options] - The handler options.
+   * @param {string} [options.basePath='/daraja'] - The path prefix that all callback routes are mounted under.
+   * @param {function(object): (boolean|object|Promise<boolean|object>)} [options.onValidation] - Decides whether
+   * to accept a C2B payment. Return `true` to accept, `false` to reject, or a `{ ResultCode, ResultDesc }` object
+   * to send your own response. All payments are accepted if this is not set.
+   */
+  constructor(options = {}) {
+    super();
+    this.basePath = (options.basePath || "/daraja").replace(/\/+$/, "");
+    this.onValidation = options.onValidation;
+
+    // Bound so it can be passed straight to `http.createServer`, `app.use` or `fastify.post`.
+    this.handler = this.handler.bind(this);
+  }
+
+  /**
+   * Builds the callback URLs to pass to each API method, given the public URL of your server.
+   * For example, `safaricom.b2c({ ...handler.urls(base).b2c, Amount: 100, ... })`.
+   * @param {string} publicUrl - The public origin your server is reachable at, e.g. `https://example.com`.
+   * @returns {object} The callback URL parameters for each API, keyed by type.
+   */
+  urls(publicUrl) {
+    const base = `${publicUrl.replace(/\/+$/, "")}${this.basePath}`;
+    const urls = {
+      stk: { CallBackURL: `${base}/stk/result` },
+      b2bExpress: { callbackUrl: `${base}/b2bExpress/result` },
+      ratiba: { CallBackURL: `${base}/ratiba/result` },
+      billManager: { callbackurl: `${base}/billManager/result` },
+      c2b: {
+        ValidationURL: `${base}/c2b/validation`,
+        ConfirmationURL: `${base}/c2b/confirmation`,
+      },
+    };
+    for (const type of ["b2c", "reversal", "status", "balance", "tax", "b2b"]) {
+      urls[type] = {
+        ResultURL: `${base}/${type}/result`,
+        QueueTimeOutURL: `${base}/${type}/timeout`,
+      };
+    }
+    return urls;
+  }
+
+  /**
+   * Processes a callback and works out the acknowledgment to send back to Safaricom.
+   * This is the framework-independent core of {@link DarajaCallbackHandler#handler}, and can be
+   * used directly from environments such as serverless functions.
+   * @param {string} path - The request path, e.g. `/daraja/b2c/result`.
+   * @param {object|string|Buffer} body - The request body.
+   * @returns {Promise<{status: number, body: object}|null>} The response to send, or `null` if the path
+   * is not a callback route.
+   */
+  async handle(path, body) {
+    const route = this._matchRoute(path);
+    if (!route) {
+      return null;
+    }
+
+    let event;
+    try {
+      event = this._parseCallback(route, body);
+    } catch (error) {
+      this.emit("invalid", error, { path, body });
+      return {
+        status: 400,
+        body: { ResultCode: 1, ResultDesc: error.message },
+      };
+    }
+
+    this.emit(event.name, event.payload);
+
+    if (event.name === "c2b:validation") {
+      return { status: 200, body: await this._validate(event.payload) };
+    }
+    return { status: 200, body: ACCEPTED };
+  }
+
+  /**
+   * A request handler that works with `node:http`, Express and Fastify.
+   * - `http.createServer(handler.handler)`
+   * - `app.use(express.json(), handler.handler)`
+   * - `fastify.post('/daraja/*', handler.handler)`
+   *
+   * Requests that are not for a callback route are passed to `next` when there is one
+   * (Express), and answered with a 404 otherwise.
+   * @param {object} req - The incoming request (or Fastify request).
+   * @param {object} res - The server response (or Fastify reply).
+   * @param {function} [next] - The Express `next` callback.
+   * @returns {Promise<object>} The response object.
+   */
+  async handler(req, res, next) {
+    const path = (req.originalUrl || req.url || "").split("?")[0];
+
+    let response;
+    if (req.method !== "POST" || !this._matchRoute(path)) {
+      if (typeof next === "function") {
+        next();
+        return res;
+      }
+      response = {
+        status: 404,
+        body: { ResultCode: 1, ResultDesc: "Not Found" },
+      };
+    } else {
+      let body = req.body;
+      try {
+        if (body === undefined) {
+          body = await this._readBody(req);
+        }
+      } catch (error) {
+        return this._send(res, {
+          status: 400,
+          body: { ResultCode: 1, ResultDesc: error.message },
+        });
+      }
+
+      try {
+        response = await this.handle(path, body);
+      } catch (error) {
+        // A listener or `onValidation` threw. Reply with a 500 so that Safaricom retries.
+        response = {
+          status: 500,
+          body: { ResultCode: 1, ResultDesc: error.message },
+        };
+      }
+    }
+
+    return this._send(res, response);
+  }
+
+  /**
+   * Parses a callback body into the event to emit for its route.
+   * @param {{type: string, action: string}} route - The matched route.
+   * @param {object|string|Buffer} body - The request body.
+   * @returns {{name: string, payload: object}} The event.
+   * @private
+   */
+  _parseCallback({ type, action }, body) {
+    if (type === "c2b") {
+      return { name: `c2b:${action}`, payload: parseC2BNotification(body) };
+    }
+    if (action === "timeout") {
+      return {
+        name: "timeout",
+        payload: { type, body: _parseBody(body, "callback") },
+      };
+    }
+    if (type === "billManager") {
+      return {
+        name: "billManager:payment",
+        payload: parseBillManagerPayment(body),
+      };
+    }
+    if (type === "stk") {
+      const result = parseStkCallback(body);
+      return {
+        name: result.success ? "stk:completed" : "stk:failed",
+        payload: result,
+      };
+    }
+    const parse =
+      RESULT_PARSERS[type] || ((raw) => _parseBody(raw, "callback"));
+    return { name: `${type}:result`, payload: parse(body) };
+  }
+
+  /**
+   * Works out the response to a C2B validation request.
+   * @param {object} payment - The parsed C2B notification.
+   * @returns {Promise<object>} The `{ ResultCode, ResultDesc }` response body.
+   * @private
+   */
+  async _validate(payment) {
+    const decision = this.onValidation
+      ? await this.onValidation(payment)
+      : true;
+    if (decision && typeof decision === "object") {
+      return decision;
+    }
+    return decision === false
+      ? { ResultCode: "C2B00016", ResultDesc: "Rejected" }
+      : { ResultCode: "0", ResultDesc: "Accepted" };
+  }
+
+  /**
+   * Matches a request path against the callback routes.
+   * @param {string} path - The request path.
+   * @returns {{type: string, action: string}|null} The matched route.
+   * @private
+   */
+  _matchRoute(path) {
+    if (!path.startsWith(`${this.basePath}/`)) {
+      return null;
+    }
+    const [type, action, ...rest] = path
+      .slice(this.basePath.length + 1)
+      .split("/")
+      .filter(Boolean);
+    if (rest.length) {
+      return null;
+    }
+    if (type === "c2b") {
+      return action === "validation" || action === "confirmation"
+        ? { type, action }
+        : null;
+    }
+    if (!(type in RESULT_PARSERS)) {
+      return null;
+    }
+    if (
+      action === "result" ||
+      (action === "timeout" && type !== "stk" && type !== "billManager")
+    ) {
+      return { type, action };
+    }
+    return null;
+  }
+
+  /**
+   * Reads the body of a plain `node:http` request.
+   * @private
+   */
+  _readBody(req) {
+    const stream = req.raw || req;
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      stream.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(
+            new DarajaValidationError(
+              "Invalid callback: the body is too large."
+            )
+          );
+          stream.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on("end", () => resolve(Buffer.concat(chunks)));
+      stream.on("error", reject);
+    });
+  }
+
+  /**
+   * Sends a JSON response through Express, Fastify or `node:http`.
+   * @private
+   */
+  _send(res, { status, body }) {
+    // Fastify reply
+    if (res.raw && typeof res.code === "function") {
+      return res
+        .code(status)
+        .header("Content-Type", "application/json")
+        .send(body);
+    }
+    // Express response
+    if (typeof res.status === "function" && typeof res.json === "function") {
+      res.status(status).json(body);
+      return res;
+    }
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+    return res;
+  }
+}
+
+/**
+ * Creates a handler for Daraja callbacks.
+ * @param {object} [options] - See {@link DarajaCallbackHandler}.
+ * @returns {DarajaCallbackHandler} The callback handler.
+ */
+export function createCallbackHandler(options) {
+  return new DarajaCallbackHandler(options);
+}
@@ -0,0 +1,96 @@
+// src/msisdn.js
+// Normalization of Kenyan phone numbers into the formats Daraja expects
+
+import { DarajaValidationError } from "./errors.js";
+
+/**
+ * Safaricom mobile prefixes, as the digits that follow the `254` country code.
+ * For example, `7` + `0` covers `0700`-`0709`, and `110` covers `0110`.
+ */
+const SAFARICOM_PREFIXES = [
+  "70",
+  "71",
+  "72",
+  "740",
+  "741",
+  "742",
+  "743",
+  "745",
+  "746",
+  "748",
+  "757",
+  "758",
+  "759",
+  "768",
+  "769",
+  "79",
+  "110",
+  "111",
+  "112",
+  "113",
+  "114",
+  "115",
+];
+
+/**
+ * Extracts the 9-digit subscriber number from a Kenyan phone number.
+ * @param {string|number} value - The phone number.
+ * @returns {{subscriber: string|null, problem: string|null}} The subscriber number, or what is wrong with it.
+ * @private
+ */
+function _parseMsisdn(value) {
+  const digits = String(value ?? "")
+    .trim()
+    .replace(/[\s\-().]/g, "")
+    .replace(/^\+/, "");
+
+  if (!/^\d+$/.test(digits)) {
+    return { subscriber: null, problem: "is not a valid phone number" };
+  }
+
+  let subscriber = null;
+  if (digits.length === 12 && digits.startsWith("254")) {
+    subscriber = digits.slice(3);
+  } else if (digits.length === 10 && digits.startsWith("0")) {
+    subscriber = digits.slice(1);
+  } else if (digits.length === 9) {
+    subscriber = digits;
+  }
+
+  if (!subscriber || !/^[17]/.test(subscriber)) {
+    return { subscriber: null, problem: "is not a Kenyan mobile number" };
+  }
+  if (!SAFARICOM_PREFIXES.some((prefix) => subscriber.startsWith(prefix))) {
+    return { subscriber: null, problem: "is not a Safaricom number" };
+  }
+  return { subscriber, problem: null };
+}
+
+/**
+ * Checks whether a value is a Safaricom phone number.
+ * @param {string|number} value - The phone number.
+ * @returns {string|null} What is wrong with the number, or `null` if it is valid.
+ */
+export function _getMsisdnProblem(value) {
+  return _parseMsisdn(value).problem;
+}
+
+/**
+ * Normalizes a Safaricom phone number typed in any common format, such as `0712345678`,
+ * `+254 712 345 678`, `712345678` or `0110345678`.
+ * @param {string|number} value - The phone number.
+ * @param {object} [options] - The normalization options.
+ * @param {string} [options.format='international'] - `international` for `2547XXXXXXXX` (used by most APIs),
+ * or `local` for `07XXXXXXXX` (used by Bill Manager).
+ * @returns {string} The normalized phone number.
+ * @throws {DarajaValidationError} If the number is not a Kenyan Safaricom mobile number.
+ */
+export function normalizeMsisdn(value, options = {}) {
+  const { subscriber, problem } = _parseMsisdn(value);
+  if (problem) {
+    throw new DarajaValidationError(
+      `Invalid phone number '${value}': it ${problem}.`
+    );
+  }
+  return options.format === "local" ? `0${subscriber}` : `254${subscriber}`;
+}
@@ -0,0 +1,122 @@
+// src/pullTransactions.js
+// Pull Transactions: formatting the date range, and paging through the C2B transactions of a shortcode
+
+import { _getTimestamp } from "./utils.js";
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {object} PullTransaction
+ * @property {string} transactionId - The M-Pesa transaction ID.
+ * @property {Date|null} transactionDate - When the payment was made.
+ * @property {string} msisdn - The customer's phone number (masked in some environments).
+ * @property {string} sender - The channel the payment came from, e.g. `UPAPI`.
+ * @property {string} transactionType - E.g. `c2b-pay-bill-debit` or `c2b-buy-goods-debit`.
+ * @property {string} billReference - The account number the customer entered.
+ * @property {number} amount - The amount paid.
+ * @property {string} organizationName - The name of the organization that was paid.
+ * @property {object} raw - The transaction as returned by Daraja.
+ */
+
+/**
+ * Formats a date as `YYYY-MM-DD HH:mm:ss` in East Africa Time, as the Pull Transactions API expects.
+ * @param {*} value - A `Date`, a time in milliseconds, an ISO 8601 string, or a `YYYY-MM-DD` date, which
+ * means midnight at the start of that day.
+ * @returns {*} The formatted date, or the value itself if it is not a date, to be reported as invalid.
+ */
+export function _formatPullDate(value) {
+  if (typeof value === "string") {
+    if (DATE_TIME.test(value)) {
+      return value;
+    }
+    if (DATE.test(value)) {
+      return `${value} 00:00:00`;
+    }
+  }
+  const date =
+    value instanceof Date ||
+    typeof value === "number" ||
+    (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value))
+      ? new Date(value)
+      : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return value;
+  }
+  const timestamp = _getTimestamp(date);
+  return `${timestamp.slice(0, 4)}-${timestamp.slice(4, 6)}-${timestamp.slice(
+    6,
+    8
+  )} ${timestamp.slice(8, 10)}:${timestamp.slice(10, 12)}:${timestamp.slice(
+    12
+  )}`;
+}
+
+/**
+ * Reads the transactions from a query response. Daraja nests them in an array of arrays.
+ * @param {object} body - The response body.
+ * @returns {Array<object>} The transactions, in the order Daraja returned them.
+ */
+export function _readPullTransactions(body) {
+  const response = body && body.Response;
+  return Array.isArray(response)
+    ? response.flat().filter((tx) => tx && typeof tx === "object")
+    : [];
+}
+
+/**
+ * Normalizes a transaction from a query response.
+ * @param {object} tx - The transaction as returned by Daraja.
+ * @returns {PullTransaction} The transaction.
+ */
+export function _parsePullTransaction(tx) {
+  const transactionDate = tx.trxDate ? new Date(tx.trxDate) : null;
+  return {
+    transactionId: tx.transactionId,
+    transactionDate:
+      transactionDate && !Number.isNaN(transactionDate.getTime())
+        ? transactionDate
+        : null,
+    msisdn: tx.msisdn == null ? "" : String(tx.msisdn),
+    sender: tx.sender,
+    transactionType: tx.transactiontype,
+    billReference: tx.billreference,
+    amount: Number(tx.amount),
+    organizationName: tx.organizationname,
+    raw: tx,
+  };
+}
+
+/**
+ * Queries every page of transactions in a date range, moving the offset by the size of each
+ * page. It stops at an empty page, at a page shorter than an earlier one (the last page), or at a
+ * page that starts with the same transaction as the one before, in case Daraja ignores the offset.
+ * @param {import('../index.js').default} client - The client to query with.
+ * @param {{from: *, to: *, offset?: number}} params - The date range, and the offset to start from.
+ * @param {object} options - The per-call request options.
+ * @returns {AsyncGenerator<PullTransaction>} The transactions.
+ */
+export async function* _pullTransactions(client, params, options) {
+  let offset = Number((params && params.offset) || 0);
+  let pageSize = 0;
+  let firstId;
+  while (true) {
+    const response = await client.pullTransactionsQuery(
+      { ...params, offset },
+      options
+    );
+    const page = _readPullTransactions(response.raw);
+    if (!page.length || page[0].transactionId === firstId) {
+      return;
+    }
+    for (const tx of page) {
+      yield _parsePullTransaction(tx);
+    }
+    if (page.length < pageSize) {
+      return;
+    }
+    pageSize = page.length;
+    firstId = page[0].transactionId;
+    offset += page.length;
+  }
+}
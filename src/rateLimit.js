@@ -0,0 +1,177 @@
+// src/rateLimit.js
+// Client-side token-bucket rate limiting, to stay under Daraja's transactions-per-second limits
+
+import { DarajaRateLimitError } from "./errors.js";
+import { _getApi, _sleep } from "./utils.js";
+
+/**
+ * @typedef {object} RateLimit
+ * @property {number} tps - The sustained number of requests per second.
+ * @property {number} [burst] - How many requests can be sent at once after a quiet period. Defaults to `tps`.
+ */
+
+/**
+ * @typedef {object} RateLimitOptions
+ * @property {number} [tps] - The global limit, shared by every endpoint. No global limit if not set.
+ * @property {number} [burst] - The global burst size. Defaults to `tps`.
+ * @property {Object<string, RateLimit>} [endpoints] - Limits per API (e.g. `stk`, `b2c`, `billManager`) or per
+ * endpoint path (e.g. `/mpesa/stkpush/v1/processrequest`). A path takes precedence over its API.
+ * @property {number} [maxQueue=100] - The maximum number of requests waiting for a slot. Further requests are
+ * rejected with a {@link DarajaRateLimitError}.
+ * @property {number} [maxWait=10000] - The longest a request may wait for a slot, in milliseconds. Requests
+ * that would wait longer are rejected straight away.
+ */
+
+/**
+ * A token bucket that can go into debt: taking a token from an empty bucket reserves the
+ * next one, and the caller waits until it has been refilled.
+ * @private
+ */
+class TokenBucket {
+  /**
+   * @param {RateLimit} limit - The rate and burst size.
+   */
+  constructor({ tps, burst }) {
+    this.rate = tps / 1000;
+    this.capacity = burst || tps;
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * How long until a token is available, in milliseconds.
+   * @param {number} now - The current time.
+   * @returns {number} The wait, or `0` if a token is available now.
+   */
+  waitTime(now) {
+    this._refill(now);
+    return this.tokens >= 1 ? 0 : (1 - this.tokens) / this.rate;
+  }
+
+  /**
+   * Takes a token, reserving a future one if the bucket is empty.
+   * @param {number} now - The current time.
+   */
+  take(now) {
+    this._refill(now);
+    this.tokens -= 1;
+  }
+
+  _refill(now) {
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + (now - this.updatedAt) * this.rate
+    );
+    this.updatedAt = now;
+  }
+}
+
+/**
+ * Limits the rate of requests with a global token bucket and one bucket per configured
+ * endpoint. Requests over the limit are queued until a slot is free.
+ *
+ * Pass the same instance as the `rateLimit` option of several clients to share the limits,
+ * e.g. between clients that use the same Daraja app.
+ */
+export class RateLimiter {
+  /**
+   * @param {RateLimitOptions} [options] - The limits.
+   */
+  constructor(options = {}) {
+    this.maxQueue = options.maxQueue ?? 100;
+    this.maxWait = options.maxWait ?? 10000;
+    this.global = options.tps ? new TokenBucket(options) : null;
+    this.endpoints = options.endpoints || {};
+    this.buckets = new Map();
+
+    // The number of requests waiting for a slot, per endpoint.
+    this.queued = new Map();
+  }
+
+  /**
+   * The number of requests waiting for a slot.
+   * @type {number}
+   */
+  get queueDepth() {
+    let depth = 0;
+    for (const count of this.queued.values()) {
+      depth += count;
+    }
+    return depth;
+  }
+
+  /**
+   * The number of requests waiting for a slot, in total and per endpoint.
+   * @returns {{queueDepth: number, endpoints: Object<string, number>}} The queue depths.
+   */
+  stats() {
+    return {
+      queueDepth: this.queueDepth,
+      endpoints: Object.fromEntries(this.queued),
+    };
+  }
+
+  /**
+   * Waits until a request to an endpoint may be sent.
+   * @param {string} endpoint - The endpoint path.
+   * @param {AbortSignal} [signal] - Stops waiting, rejecting with the signal's reason.
+   * @returns {Promise<void>}
+   * @throws {DarajaRateLimitError} If the queue is full or the wait would be longer than `maxWait`.
+   */
+  async acquire(endpoint, signal) {
+    const buckets = [this.global, this._getBucket(endpoint)].filter(Boolean);
+    const now = Date.now();
+    const wait = Math.max(0, ...buckets.map((bucket) => bucket.waitTime(now)));
+    if (wait === 0) {
+      buckets.forEach((bucket) => bucket.take(now));
+      return;
+    }
+
+    const queueDepth = this.queueDepth;
+    if (queueDepth >= this.maxQueue) {
+      throw new DarajaRateLimitError(
+        `Rate limit exceeded. ${queueDepth} requests are already waiting to be sent, which is the most allowed by 'maxQueue'.`,
+        { endpoint, reason: "queue_full", queueDepth, retryAfter: wait }
+      );
+    }
+    if (wait > this.maxWait) {
+      throw new DarajaRateLimitError(
+        `Rate limit exceeded. The request would have to wait ${Math.ceil(
+          wait
+        )} ms to be sent, which is longer than 'maxWait'.`,
+        { endpoint, reason: "max_wait", queueDepth, retryAfter: wait }
+      );
+    }
+
+    buckets.forEach((bucket) => bucket.take(now));
+    this.queued.set(endpoint, (this.queued.get(endpoint) || 0) + 1);
+    try {
+      await _sleep(wait, signal);
+    } finally {
+      const count = this.queued.get(endpoint) - 1;
+      if (count) {
+        this.queued.set(endpoint, count);
+      } else {
+        this.queued.delete(endpoint);
+      }
+    }
+  }
+
+  /**
+   * Returns the bucket for an endpoint's own limit, if one is configured.
+   * @param {string} endpoint - The endpoint path.
+   * @returns {TokenBucket|null} The bucket.
+   * @private
+   */
+  _getBucket(endpoint) {
+    const path = endpoint.split("?")[0];
+    const key = this.endpoints[path] ? path : _getApi(path);
+    if (!key || !this.endpoints[key]) {
+      return null;
+    }
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, new TokenBucket(this.endpoints[key]));
+    }
+    return this.buckets.get(key);
+  }
+}
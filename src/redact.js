@@ -0,0 +1,80 @@
+// src/redact.js
+// Redaction of secrets and customer phone numbers, so requests and responses can be logged safely
+
+/**
+ * The keys whose values are redacted by default, in lower case.
+ */
+export const DEFAULT_REDACTED_KEYS = [
+  "securitycredential",
+  "password",
+  "authorization",
+  "access_token",
+  "initiatorpassword",
+  "consumersecret",
+  "passkey",
+];
+
+/**
+ * @typedef {object} RedactionRules
+ * @property {string[]} [keys] - The keys whose values are replaced with `censor`, matched case-insensitively at any
+ * depth. Replaces {@link DEFAULT_REDACTED_KEYS}, so spread them in to add your own keys.
+ * @property {boolean} [maskMsisdn=true] - Whether phone numbers are masked, e.g. `254712***678`.
+ * @property {string} [censor='[REDACTED]'] - The replacement for redacted values.
+ */
+
+// A Kenyan phone number in any of the formats accepted by `normalizeMsisdn`.
+const MSISDN_PATTERN = /^(?:\+?254|0)?[17]\d{8}$/;
+
+// Credentials inside strings, e.g. an `Authorization` header value in an error message.
+const CREDENTIAL_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g;
+
+/**
+ * Masks the middle digits of a phone number, keeping enough to tell numbers apart.
+ * @param {string} msisdn - The phone number.
+ * @returns {string} The masked number, e.g. `254712***678`.
+ * @private
+ */
+function _maskMsisdn(msisdn) {
+  return `${msisdn.slice(0, -6)}***${msisdn.slice(-3)}`;
+}
+
+/**
+ * Returns a copy of a value with secrets redacted and phone numbers masked. The value itself
+ * is not changed.
+ * @param {*} value - The value to redact, e.g. a request body.
+ * @param {RedactionRules} [rules] - What to redact.
+ * @returns {*} The redacted copy.
+ */
+export function redact(value, rules = {}) {
+  const keys = new Set(
+    (rules.keys || DEFAULT_REDACTED_KEYS).map((key) => key.toLowerCase())
+  );
+  const maskMsisdn = rules.maskMsisdn !== false;
+  const censor = rules.censor ?? "[REDACTED]";
+
+  const visit = (item) => {
+    if (Array.isArray(item)) {
+      return item.map(visit);
+    }
+    if (item && Object.getPrototypeOf(item) === Object.prototype) {
+      return Object.fromEntries(
+        Object.entries(item).map(([key, child]) => [
+          key,
+          keys.has(key.toLowerCase()) ? censor : visit(child),
+        ])
+      );
+    }
+    if (
+      maskMsisdn &&
+      (typeof item === "string" || typeof item === "number") &&
+      MSISDN_PATTERN.test(String(item))
+    ) {
+      return _maskMsisdn(String(item));
+    }
+    if (typeof item === "string") {
+      return item.replace(CREDENTIAL_PATTERN, `$1 ${censor}`);
+    }
+    return item;
+  };
+  return visit(value);
+}
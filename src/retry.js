@@ -0,0 +1,141 @@
+// src/retry.js
+// Retry policy for Daraja requests: which errors to retry, and how long to wait in between
+
+import {
+  DarajaAuthError,
+  DarajaNetworkError,
+  DarajaRateLimitError,
+} from "./errors.js";
+import { _getApi } from "./utils.js";
+
+/**
+ * @typedef {object} RetryPolicy
+ * @property {number} [retries=2] - The maximum number of retries after the first attempt.
+ * @property {number} [minDelay=500] - The delay before the first retry, in milliseconds.
+ * @property {number} [maxDelay=5000] - The maximum delay between retries, in milliseconds.
+ * @property {number} [factor=2] - The factor the delay grows by after each retry.
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  retries: 2,
+  minDelay: 500,
+  maxDelay: 5000,
+  factor: 2,
+};
+
+/**
+ * APIs that move money. Sending one of these twice can pay someone twice, so they are
+ * only retried when the first attempt provably never reached M-Pesa.
+ */
+const MONEY_MOVING_APIS = new Set([
+  "stk",
+  "c2b",
+  "b2c",
+  "b2b",
+  "tax",
+  "reversal",
+  "b2bExpress",
+  "ratiba",
+]);
+
+// Query-style endpoints that happen to belong to a money-moving API.
+const IDEMPOTENT_ENDPOINTS = new Set([
+  "/mpesa/stkpushquery/v1/query",
+  "/mpesa/c2b/v1/registerurl",
+]);
+
+// Network errors that happen before any data is sent to the server.
+const CONNECTION_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+]);
+
+/**
+ * Merges the client's retry policy with a per-call override.
+ * @param {RetryPolicy|false} [clientPolicy] - The policy configured on the client.
+ * @param {RetryPolicy|false} [callPolicy] - The policy passed to a single call.
+ * @returns {RetryPolicy} The resolved policy. `retries` is `0` when retries are disabled.
+ */
+export function resolveRetryPolicy(clientPolicy, callPolicy) {
+  if (callPolicy === false || (clientPolicy === false && !callPolicy)) {
+    return { ...DEFAULT_RETRY_POLICY, retries: 0 };
+  }
+  return { ...DEFAULT_RETRY_POLICY, ...clientPolicy, ...callPolicy };
+}
+
+/**
+ * Whether a request to an endpoint can be repeated without side effects.
+ * @param {string} endpoint - The endpoint path.
+ * @returns {boolean} `true` if the request is safe to send more than once.
+ */
+export function isIdempotent(endpoint) {
+  return (
+    IDEMPOTENT_ENDPOINTS.has(endpoint) ||
+    !MONEY_MOVING_APIS.has(_getApi(endpoint))
+  );
+}
+
+/**
+ * Whether an error proves that M-Pesa did not process the request, so that it
+ * can be sent again even if it moves money.
+ * @param {import('./errors.js').DarajaError} error - The error from the failed attempt.
+ * @returns {boolean} `true` if the request was definitely not processed.
+ */
+export function _wasNotProcessed(error) {
+  // Fetching the token failed, so the request itself was never sent.
+  if (error.endpoint === "/oauth/v1/generate") {
+    return true;
+  }
+  // The client-side rate limiter refused the request before it was sent.
+  if (error instanceof DarajaRateLimitError) {
+    return true;
+  }
+  if (error instanceof DarajaNetworkError) {
+    return CONNECTION_ERROR_CODES.has(error.cause && error.cause.code);
+  }
+  // Rate limited or System Busy: M-Pesa rejected the request before processing it.
+  return error.status === 429 || error.code === "26";
+}
+
+/**
+ * Whether Daraja definitely refused a request: a 4xx response, or a 2xx response whose
+ * acknowledgment rejected it. A 5xx or gateway timeout leaves the outcome unknown.
+ * @param {import('./errors.js').DarajaError} error - The error from the failed request.
+ * @returns {boolean} `true` if the request was rejected.
+ */
+export function _wasRejected(error) {
+  return error.status != null && error.status < 500;
+}
+
+/**
+ * Decides whether a failed request should be retried.
+ * @param {import('./errors.js').DarajaError} error - The error from the failed attempt.
+ * @param {string} endpoint - The endpoint that was called.
+ * @returns {boolean} `true` if the request should be sent again.
+ */
+export function shouldRetry(error, endpoint) {
+  // Token errors are handled by refreshing the token instead.
+  if (!error.retryable || error instanceof DarajaAuthError) {
+    return false;
+  }
+  return isIdempotent(endpoint) || _wasNotProcessed(error);
+}
+
+/**
+ * Calculates the delay before a retry using exponential backoff with jitter.
+ * Half of the delay is fixed and the other half is random, so that clients that
+ * failed together do not all retry at the same moment.
+ * @param {RetryPolicy} policy - The retry policy.
+ * @param {number} attempt - The retry number, starting at 1.
+ * @returns {number} The delay in milliseconds.
+ */
+export function getRetryDelay(policy, attempt) {
+  const delay = Math.min(
+    policy.maxDelay,
+    policy.minDelay * Math.pow(policy.factor, attempt - 1)
+  );
+  return delay / 2 + Math.random() * (delay / 2);
+}
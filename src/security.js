@@ -0,0 +1,77 @@
+// src/security.js
+// Generates the SecurityCredential used by B2C, B2B, Reversal and other initiator-based APIs
+
+import { Buffer } from "node:buffer";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { DarajaValidationError } from "./errors.js";
+
+/**
+ * The public certificates published by Safaricom on the Daraja portal, bundled with the library.
+ * The one for the client's `environment` is read when the client is created with an `initiatorPassword`.
+ */
+const CERTIFICATE_PATHS = {
+  sandbox: fileURLToPath(new URL("../certs/sandbox.cer", import.meta.url)),
+  production: fileURLToPath(
+    new URL("../certs/production.cer", import.meta.url)
+  ),
+};
+
+/**
+ * Loads the public key from a certificate file. Both PEM and DER encoded
+ * certificates are supported, as well as PEM encoded public keys.
+ * @param {string} certificatePath - The path to the certificate.
+ * @returns {crypto.KeyObject} The public key.
+ * @private
+ */
+function _loadPublicKey(certificatePath) {
+  let contents;
+  try {
+    contents = fs.readFileSync(certificatePath);
+  } catch (error) {
+    throw new DarajaValidationError(
+      `Could not read the certificate at ${certificatePath}: ${error.message}`
+    );
+  }
+
+  if (contents.toString().includes("BEGIN PUBLIC KEY")) {
+    return crypto.createPublicKey(contents);
+  }
+  return new crypto.X509Certificate(contents).publicKey;
+}
+
+/**
+ * Generates a Daraja `SecurityCredential` by encrypting the initiator password with
+ * Safaricom's public certificate (RSA, PKCS #1 v1.5 padding) and encoding it in Base64.
+ * @param {string} initiatorPassword - The initiator password from the M-Pesa portal.
+ * @param {object} [options] - The encryption options.
+ * @param {string} [options.environment='sandbox'] - The environment whose bundled certificate to use ('sandbox' or 'production').
+ * @param {string} [options.certificatePath] - The path to a certificate to use instead of the bundled one.
+ * @returns {string} The security credential.
+ */
+export function generateSecurityCredential(initiatorPassword, options = {}) {
+  if (!initiatorPassword) {
+    throw new DarajaValidationError(
+      "An initiator password is required to generate a SecurityCredential."
+    );
+  }
+
+  const environment = options.environment || "sandbox";
+  const certificatePath =
+    options.certificatePath || CERTIFICATE_PATHS[environment];
+  if (!certificatePath) {
+    throw new DarajaValidationError(
+      `Invalid environment specified: ${environment}. Use 'sandbox' or 'production'.`
+    );
+  }
+
+  const encrypted = crypto.publicEncrypt(
+    {
+      key: _loadPublicKey(certificatePath),
+      padding: crypto.constants.RSA_PKCS1_PADDING,
+    },
+    Buffer.from(initiatorPassword)
+  );
+  return encrypted.toString("base64");
+}
@@ -0,0 +1,140 @@
+// src/stkWait.js
+// Helpers for waiting on the final result of an STK Push, from its callback or by polling
+
+import { DarajaResultError } from "./errors.js";
+import { _sleep } from "./utils.js";
+
+// Query results that mean the customer has not finished with the prompt yet.
+const PENDING_CODES = new Set(["500.001.1001", "4999"]);
+
+/**
+ * Creates the error for an STK Push that had no final result before the deadline.
+ * @param {string} checkoutRequestId - The `CheckoutRequestID` of the STK Push.
+ * @param {number} timeout - The time that was allowed, in milliseconds.
+ * @returns {DarajaResultError} The error.
+ * @private
+ */
+function _timeoutError(checkoutRequestId, timeout) {
+  return new DarajaResultError(
+    `STK Push Timeout. No final result was received for ${checkoutRequestId} within ${Math.round(
+      timeout / 1000
+    )} seconds. The customer may not have responded to the prompt.`,
+    { reason: "timeout", raw: { CheckoutRequestID: checkoutRequestId } }
+  );
+}
+
+/**
+ * Listens for STK Push callbacks on a callback handler. Results are collected from the
+ * moment the waiter is created, so a callback that arrives before `stkPush` returns is not missed.
+ * @param {import('./middleware.js').DarajaCallbackHandler} handler - The callback handler.
+ * @returns {{wait: function(string, object): Promise<object>, dispose: function(): void}} The waiter.
+ */
+export function createStkCallbackWaiter(handler) {
+  const results = new Map();
+  let notify = null;
+  const onCallback = (result) => {
+    results.set(result.checkoutRequestId, result);
+    if (notify) {
+      notify();
+    }
+  };
+  handler.on("stk:completed", onCallback);
+  handler.on("stk:failed", onCallback);
+
+  return {
+    /**
+     * Waits for the callback of an STK Push.
+     * @param {string} checkoutRequestId - The `CheckoutRequestID` of the STK Push.
+     * @param {object} options - `{ timeout, signal }`.
+     * @returns {Promise<import('./callbacks.js').StkCallbackResult>} The callback result.
+     */
+    wait(checkoutRequestId, { timeout, signal }) {
+      return new Promise((resolve, reject) => {
+        const finish = () => {
+          clearTimeout(timer);
+          notify = null;
+          if (signal) {
+            signal.removeEventListener("abort", onAbort);
+          }
+        };
+        const onAbort = () => {
+          finish();
+          reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+          finish();
+          reject(_timeoutError(checkoutRequestId, timeout));
+        }, timeout);
+        notify = () => {
+          if (results.has(checkoutRequestId)) {
+            finish();
+            resolve(results.get(checkoutRequestId));
+          }
+        };
+
+        if (signal) {
+          if (signal.aborted) {
+            onAbort();
+            return;
+          }
+          signal.addEventListener("abort", onAbort, { once: true });
+        }
+        notify();
+      });
+    },
+
+    /**
+     * Stops listening for callbacks.
+     */
+    dispose() {
+      handler.off("stk:completed", onCallback);
+      handler.off("stk:failed", onCallback);
+    },
+  };
+}
+
+/**
+ * Polls `stkQuery` until the STK Push has a final result.
+ * Errors that mean the transaction is still being processed are ignored.
+ * @param {object} client - The `Safaricom` client.
+ * @param {string} checkoutRequestId - The `CheckoutRequestID` of the STK Push.
+ * @param {object} options - `{ timeout, pollInterval, signal, till }`.
+ * @returns {Promise<object>} The final `stkQuery` response body.
+ */
+export async function pollStkResult(
+  client,
+  checkoutRequestId,
+  { timeout, pollInterval, signal, till }
+) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw _timeoutError(checkoutRequestId, timeout);
+    }
+    await _sleep(Math.min(pollInterval, remaining), signal);
+
+    let response;
+    try {
+      response = await client.stkQuery(
+        { CheckoutRequestID: checkoutRequestId },
+        { retry: false, till, signal }
+      );
+    } catch (error) {
+      if (PENDING_CODES.has(error.code) || error.retryable) {
+        continue;
+      }
+      throw error;
+    }
+
+    const resultCode = response.raw && response.raw.ResultCode;
+    if (
+      resultCode !== undefined &&
+      resultCode !== null &&
+      !PENDING_CODES.has(String(resultCode))
+    ) {
+      return response.raw;
+    }
+  }
+}
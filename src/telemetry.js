@@ -0,0 +1,101 @@
+// src/telemetry.js
+// Metrics and OpenTelemetry-compatible tracing, without depending on the OpenTelemetry SDK
+
+// The values of the OpenTelemetry `SpanKind.CLIENT` and `SpanStatusCode` enums.
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_OK = 1;
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * @typedef {object} DarajaMetric
+ * @property {string} operation - The client method, e.g. `stkPush`, or `token` for an access token refresh.
+ * @property {string} endpoint - The endpoint path.
+ * @property {number} duration - How long the operation took, including retries, in milliseconds.
+ * @property {number|null} status - The HTTP status code of the last attempt, if a response was received.
+ * @property {string|null} code - The Daraja `ResponseCode` on success, or the error or result code on failure.
+ * @property {number} retries - The number of retries after the first attempt.
+ * @property {boolean} success - Whether the operation succeeded.
+ * @property {string|null} error - The name of the error class, e.g. `DarajaApiError`, on failure.
+ */
+
+/**
+ * Runs a function in an active span, if a tracer is configured. Works with any tracer that has
+ * the OpenTelemetry `startActiveSpan` API, e.g. `trace.getTracer('node-daraja')`.
+ * @param {object} [tracer] - The OpenTelemetry tracer.
+ * @param {string} name - The span name.
+ * @param {object} attributes - The initial span attributes.
+ * @param {function(object|undefined): Promise<*>} fn - The function to run, given the span.
+ * @returns {Promise<*>} The result of `fn`.
+ */
+export function _withSpan(tracer, name, attributes, fn) {
+  if (!tracer) {
+    return fn(undefined);
+  }
+  return tracer.startActiveSpan(
+    name,
+    { kind: SPAN_KIND_CLIENT, attributes },
+    async (span) => {
+      try {
+        const result = await fn(span);
+        span.setStatus({ code: SPAN_STATUS_OK });
+        return result;
+      } catch (error) {
+        span.recordException(error);
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    }
+  );
+}
+
+/**
+ * The span attributes for a metric, using the OpenTelemetry HTTP semantic conventions where they apply.
+ * @param {DarajaMetric} metric - The metric.
+ * @returns {object} The attributes.
+ */
+export function _metricAttributes(metric) {
+  const attributes = {
+    "daraja.operation": metric.operation,
+    "url.path": metric.endpoint,
+    "daraja.retries": metric.retries,
+  };
+  if (metric.status != null) {
+    attributes["http.response.status_code"] = metric.status;
+  }
+  if (metric.code != null) {
+    attributes["daraja.code"] = metric.code;
+  }
+  if (metric.error) {
+    attributes["error.type"] = metric.error;
+  }
+  return attributes;
+}
+
+/**
+ * Creates an `onMetric` handler that records each operation with an OpenTelemetry meter, e.g.
+ * `metrics.getMeter('node-daraja')`:
+ * - `daraja.client.duration`: A histogram of operation durations, in milliseconds.
+ * - `daraja.client.operations`: A counter of operations.
+ *
+ * Both have the `daraja.operation`, `daraja.code`, `http.response.status_code` and `error.type` attributes.
+ * @param {object} meter - The OpenTelemetry meter.
+ * @returns {function(DarajaMetric): void} The handler, to pass as the client's `onMetric` option.
+ */
+export function createOpenTelemetryMetrics(meter) {
+  const duration = meter.createHistogram("daraja.client.duration", {
+    description: "The duration of Daraja operations, including retries.",
+    unit: "ms",
+  });
+  const operations = meter.createCounter("daraja.client.operations", {
+    description: "The number of Daraja operations.",
+  });
+
+  return (metric) => {
+    const attributes = _metricAttributes(metric);
+    delete attributes["daraja.retries"];
+    duration.record(metric.duration, attributes);
+    operations.add(1, attributes);
+  };
+}
@@ -0,0 +1,103 @@
+// src/tokenStore.js
+// Storage for OAuth access tokens, so they can be shared between clients and processes
+
+/**
+ * @typedef {object} TokenStore
+ * @property {function(string): Promise<string|null>} get - Returns the token stored under a key, or `null`.
+ * @property {function(string, string, number): Promise<void>} set - Stores a token under a key for the given number of seconds.
+ * @property {function(string): Promise<void>} [delete] - Removes the token stored under a key.
+ * @property {function(string, string, number): Promise<boolean>} [add] - Stores a value under a key for the given
+ * number of seconds only if the key is not set, atomically, and returns whether it did. `idempotencyWindow` uses
+ * it to reserve a payment before sending it, so two processes cannot both send it.
+ *
+ * For example, a Redis store:
+ * ```js
+ * const tokenStore = {
+ *   get: (key) => redis.get(key),
+ *   set: (key, token, ttl) => redis.set(key, token, "EX", ttl),
+ *   delete: (key) => redis.del(key),
+ *   add: async (key, value, ttl) => (await redis.set(key, value, "EX", ttl, "NX")) === "OK",
+ * };
+ * ```
+ */
+
+/**
+ * The default token store, which keeps tokens in memory.
+ * Share one instance between clients to reuse tokens within a process.
+ */
+export class MemoryTokenStore {
+  constructor() {
+    this.tokens = new Map();
+  }
+
+  /**
+   * @param {string} key - The token key.
+   * @returns {Promise<string|null>} The token, or `null` if there is none or it has expired.
+   */
+  async get(key) {
+    const entry = this.tokens.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.tokens.delete(key);
+      return null;
+    }
+    return entry.token;
+  }
+
+  /**
+   * @param {string} key - The token key.
+   * @param {string} token - The access token.
+   * @param {number} ttl - How long the token is valid for, in seconds.
+   * @returns {Promise<void>}
+   */
+  async set(key, token, ttl) {
+    this.tokens.set(key, { token, expiresAt: Date.now() + ttl * 1000 });
+  }
+
+  /**
+   * @param {string} key - The key.
+   * @param {string} value - The value.
+   * @param {number} ttl - How long the value is kept, in seconds.
+   * @returns {Promise<boolean>} `true` if the value was stored, `false` if the key was already set.
+   */
+  async add(key, value, ttl) {
+    const entry = this.tokens.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return false;
+    }
+    this.tokens.set(key, { token: value, expiresAt: Date.now() + ttl * 1000 });
+    return true;
+  }
+
+  /**
+   * @param {string} key - The token key.
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.tokens.delete(key);
+  }
+}
+
+// Token refreshes in progress, per store and key.
+const refreshes = new WeakMap();
+
+/**
+ * Runs a token refresh, or joins the one already in progress for the same store and key,
+ * so that concurrent requests on a cold cache only fetch one token.
+ * @param {TokenStore} store - The token store.
+ * @param {string} key - The token key.
+ * @param {function(): Promise<string>} refresh - Fetches and stores a new token.
+ * @returns {Promise<string>} The access token.
+ */
+export function _singleFlight(store, key, refresh) {
+  let inFlight = refreshes.get(store);
+  if (!inFlight) {
+    inFlight = new Map();
+    refreshes.set(store, inFlight);
+  }
+
+  if (!inFlight.has(key)) {
+    const promise = refresh().finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+  }
+  return inFlight.get(key);
+}
@@ -0,0 +1,324 @@
+// src/validation.js
+// Declarative schemas for the parameters of each API method, checked before any request is sent
+
+import { DarajaValidationError } from "./errors.js";
+import { _getMsisdnProblem } from "./msisdn.js";
+
+/**
+ * A schema maps each parameter name to its rules:
+ * - `required`: The parameter must be present and not empty.
+ * - `type`: `string`, `integer` (a whole number, or a string of one), `url` (an HTTPS URL) or
+ *   `msisdn` (a Safaricom phone number in any format accepted by `normalizeMsisdn`).
+ * - `min` / `max`: The range an `integer` must be in.
+ * - `maxLength`: The maximum length of a `string`.
+ * - `enum`: The allowed values.
+ * - `pattern` / `format`: A regular expression the value must match, and how to describe it.
+ *
+ * A schema with `arrayOf` describes a method that takes an array, where each item must match
+ * the given schema.
+ */
+const url = { type: "url" };
+const requiredUrl = { required: true, type: "url" };
+const requiredString = { required: true, type: "string" };
+const requiredMsisdn = { required: true, type: "msisdn" };
+const amount = { required: true, type: "integer", min: 1 };
+const identifierType = { enum: ["1", "2", "4"] };
+const resultUrls = { ResultURL: requiredUrl, QueueTimeOutURL: requiredUrl };
+
+const DATE = { pattern: /^\d{4}-\d{2}-\d{2}$/, format: "YYYY-MM-DD" };
+const COMPACT_DATE = { pattern: /^\d{8}$/, format: "YYYYMMDD" };
+const DATE_TIME = {
+  pattern: /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/,
+  format: "YYYY-MM-DD HH:mm:ss",
+};
+
+const billManagerInvoice = {
+  externalReference: requiredString,
+  billedFullName: requiredString,
+  billedPhoneNumber: requiredMsisdn,
+  billedPeriod: requiredString,
+  invoiceName: requiredString,
+  dueDate: { ...requiredString, ...DATE },
+  accountReference: requiredString,
+  amount,
+};
+
+export const SCHEMAS = {
+  stkPush: {
+    Amount: { ...amount, max: 250000 },
+    PhoneNumber: requiredMsisdn,
+    CallBackURL: requiredUrl,
+    AccountReference: { ...requiredString, maxLength: 12 },
+    TransactionDesc: { ...requiredString, maxLength: 13 },
+    TransactionType: {
+      enum: ["CustomerPayBillOnline", "CustomerBuyGoodsOnline"],
+    },
+  },
+  stkQuery: {
+    CheckoutRequestID: requiredString,
+  },
+  c2bRegister: {
+    ConfirmationURL: requiredUrl,
+    ValidationURL: url,
+    ResponseType: { enum: ["Completed", "Cancelled"] },
+  },
+  c2bSimulate: {
+    Amount: amount,
+    Msisdn: requiredMsisdn,
+    CommandID: { enum: ["CustomerPayBillOnline", "CustomerBuyGoodsOnline"] },
+    BillRefNumber: { type: "string" },
+  },
+  b2c: {
+    Amount: { ...amount, min: 10, max: 250000 },
+    PartyB: requiredMsisdn,
+    Remarks: { ...requiredString, maxLength: 100 },
+    ...resultUrls,
+    CommandID: {
+      enum: ["SalaryPayment", "BusinessPayment", "PromotionPayment"],
+    },
+    Occasion: { type: "string", maxLength: 100 },
+    OriginatorConversationID: { type: "string" },
+  },
+  transactionStatus: {
+    TransactionID: requiredString,
+    ...resultUrls,
+    IdentifierType: identifierType,
+  },
+  accountBalance: {
+    ...resultUrls,
+    IdentifierType: identifierType,
+  },
+  reversal: {
+    TransactionID: requiredString,
+    Amount: amount,
+    ...resultUrls,
+    RecieverIdentifierType: { enum: ["1", "2", "4", "11"] },
+  },
+  dynamicQR: {
+    MerchantName: requiredString,
+    RefNo: requiredString,
+    Amount: amount,
+    TrxCode: { required: true, enum: ["BG", "WA", "PB", "SM", "SB"] },
+    CPI: requiredString,
+    Size: { required: true, type: "integer", min: 1 },
+  },
+  taxRemittance: {
+    Amount: amount,
+    AccountReference: requiredString,
+    ...resultUrls,
+  },
+  b2b: {
+    Amount: amount,
+    PartyB: requiredString,
+    AccountReference: { ...requiredString, maxLength: 13 },
+    ...resultUrls,
+    CommandID: { enum: ["BusinessPayBill", "BusinessBuyGoods"] },
+    Requester: { type: "msisdn" },
+  },
+  pullTransactionsRegister: {
+    NominatedNumber: requiredMsisdn,
+    CallBackURL: requiredUrl,
+  },
+  pullTransactionsQuery: {
+    from: { ...requiredString, ...DATE_TIME },
+    to: { ...requiredString, ...DATE_TIME },
+    offset: { type: "integer", min: 0 },
+  },
+  billManagerOptIn: {
+    email: requiredString,
+    officialContact: requiredString,
+    callbackurl: requiredUrl,
+    sendReminders: { enum: ["0", "1"] },
+  },
+  billManagerSingleInvoice: billManagerInvoice,
+  billManagerBulkInvoice: { arrayOf: billManagerInvoice, maxItems: 1000 },
+  billManagerCancelSingleInvoice: {
+    externalReference: requiredString,
+  },
+  billManagerCancelBulkInvoice: {
+    arrayOf: { externalReference: requiredString },
+    maxItems: 1000,
+  },
+  billManagerReconcile: {
+    transactionId: requiredString,
+    paidAmount: amount,
+    phoneNumber: requiredMsisdn,
+    paymentDate: { ...requiredString, ...DATE },
+    accountReference: requiredString,
+    externalReference: requiredString,
+    fullName: requiredString,
+    invoiceName: requiredString,
+  },
+  billManagerUpdateOptIn: {
+    email: { type: "string" },
+    callbackurl: url,
+    sendReminders: { enum: ["0", "1"] },
+  },
+  b2bExpressCheckout: {
+    primaryShortCode: requiredString,
+    amount,
+    paymentRef: requiredString,
+    callbackUrl: requiredUrl,
+    partnerName: requiredString,
+    RequestRefID: requiredString,
+  },
+  b2cAccountTopUp: {
+    Amount: amount,
+    PartyB: requiredString,
+    ...resultUrls,
+  },
+  createStandingOrder: {
+    StandingOrderName: requiredString,
+    StartDate: { ...requiredString, ...COMPACT_DATE },
+    EndDate: { ...requiredString, ...COMPACT_DATE },
+    Amount: amount,
+    PartyA: requiredMsisdn,
+    AccountReference: { ...requiredString, maxLength: 12 },
+    CallBackURL: requiredUrl,
+    Frequency: {
+      required: true,
+      enum: ["1", "2", "3", "4", "5", "6", "7", "8"],
+    },
+    TransactionType: {
+      enum: [
+        "Standing Order Customer Pay Bill",
+        "Standing Order Customer Pay Marchant",
+      ],
+    },
+    TransactionDesc: { type: "string", maxLength: 13 },
+  },
+};
+
+/**
+ * Checks a single value against its rules.
+ * @param {*} value - The value to check.
+ * @param {object} rules - The rules for the value.
+ * @returns {string|null} What is wrong with the value, or `null` if it is valid.
+ */
+export function _checkValue(value, rules) {
+  if (value === undefined || value === null || value === "") {
+    return rules.required ? "is required" : null;
+  }
+
+  if (rules.type === "integer") {
+    const number = typeof value === "string" ? Number(value) : value;
+    if (typeof number !== "number" || !Number.isInteger(number)) {
+      return "must be a whole number";
+    }
+    if (rules.min !== undefined && number < rules.min) {
+      return `must be at least ${rules.min}`;
+    }
+    if (rules.max !== undefined && number > rules.max) {
+      return `must be at most ${rules.max}`;
+    }
+  }
+
+  if (rules.type === "string" && typeof value !== "string") {
+    return "must be a string";
+  }
+  if (rules.maxLength !== undefined && String(value).length > rules.maxLength) {
+    return `must be at most ${rules.maxLength} characters`;
+  }
+  if (rules.enum && !rules.enum.includes(String(value))) {
+    return `must be one of: ${rules.enum.join(", ")}`;
+  }
+  if (rules.pattern && !rules.pattern.test(String(value))) {
+    return `must be in the format ${rules.format}`;
+  }
+
+  if (rules.type === "msisdn") {
+    const problem = _getMsisdnProblem(value);
+    if (problem) {
+      return problem;
+    }
+  }
+
+  if (rules.type === "url") {
+    let parsed;
+    try {
+      parsed = new URL(String(value));
+    } catch {
+      return "must be a valid URL";
+    }
+    // Plain HTTP is only allowed for local development.
+    const isLocal = ["localhost", "127.0.0.1", "[::1]"].includes(
+      parsed.hostname
+    );
+    if (
+      parsed.protocol !== "https:" &&
+      !(isLocal && parsed.protocol === "http:")
+    ) {
+      return "must be an HTTPS URL";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks an object against a schema.
+ * @param {object} params - The parameters to check.
+ * @param {object} schema - The schema.
+ * @param {string} [prefix=''] - The path prefix for field names, e.g. `[2].`.
+ * @returns {Array<{field: string, message: string}>} The problems found.
+ */
+export function _checkObject(params, schema, prefix = "") {
+  if (!params || typeof params !== "object" || Array.isArray(params)) {
+    const field = prefix ? prefix.slice(0, -1) : "params";
+    return [{ field, message: `'${field}' must be an object` }];
+  }
+
+  const errors = [];
+  for (const [name, rules] of Object.entries(schema)) {
+    const problem = _checkValue(params[name], rules);
+    if (problem) {
+      const field = `${prefix}${name}`;
+      errors.push({ field, message: `'${field}' ${problem}` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates the parameters of an API method before the request is sent.
+ * @param {string} method - The method name, e.g. `stkPush`.
+ * @param {object|Array<object>} params - The parameters passed to the method.
+ * @throws {DarajaValidationError} If any parameter is invalid. The error lists every problem.
+ */
+export function validateParams(method, params) {
+  const schema = SCHEMAS[method];
+  if (!schema) {
+    return;
+  }
+
+  let errors;
+  if (schema.arrayOf) {
+    if (!Array.isArray(params) || params.length === 0) {
+      errors = [
+        { field: "params", message: "'params' must be a non-empty array" },
+      ];
+    } else if (params.length > schema.maxItems) {
+      errors = [
+        {
+          field: "params",
+          message: `'params' must contain at most ${schema.maxItems} items`,
+        },
+      ];
+    } else {
+      errors = params.flatMap((item, index) =>
+        _checkObject(item, schema.arrayOf, `[${index}].`)
+      );
+    }
+  } else {
+    errors = _checkObject(params, schema);
+  }
+
+  if (errors.length) {
+    throw new DarajaValidationError(
+      `Invalid parameters for ${method}: ${errors
+        .map((error) => error.message)
+        .join("; ")}.`,
+      { field: errors[0].field, errors }
+    );
+  }
+}